@@ -0,0 +1,259 @@
+/**
+ * Audio Backends Module
+ * Sound output for the audio manager: Tone.js in browsers, a silent backend everywhere else
+ * Every backend implements init, start, loadMusic, play, pause, stop, setLayerVolume,
+ * setBusVolume, playSound and dispose; volumes are linear gains from 0 to 1
+ */
+
+// Sound effects: which synth plays them and how
+const SOUND_EFFECTS = {
+    jump: { synth: 'blip', notes: ['C5', 'G5'], duration: '32n' },
+    land: { synth: 'thump', notes: ['C2'], duration: '16n' },
+    collect: { synth: 'blip', notes: ['E6'], duration: '32n' },
+    powerUp: { synth: 'blip', notes: ['C5', 'E5', 'G5', 'C6'], duration: '32n' },
+    formChange: { synth: 'blip', notes: ['G4', 'D5'], duration: '16n' },
+    death: { synth: 'noise', notes: [null], duration: '8n' },
+    victory: { synth: 'blip', notes: ['C5', 'E5', 'G5', 'C6', 'G5', 'C6'], duration: '16n' }
+};
+
+/**
+ * Tone.js backend
+ */
+export class ToneAudioBackend {
+    constructor(Tone = globalThis.Tone) {
+        this.Tone = Tone;
+        this.musicBus = null;
+        this.sfxBus = null;
+        this.layers = {};
+        this.instruments = {};
+        this.sfx = {};
+        this.sequences = [];
+        this.chord = [];
+    }
+
+    /**
+     * Check if Tone.js is loaded and Web Audio is available
+     */
+    static isAvailable(Tone = globalThis.Tone) {
+        return Boolean(Tone && Tone.Transport && typeof Tone.start === 'function');
+    }
+
+    /**
+     * Create buses, one volume node per music layer, and the synths
+     */
+    async init(layerNames) {
+        const Tone = this.Tone;
+
+        this.musicBus = new Tone.Volume(0).toDestination();
+        this.sfxBus = new Tone.Volume(0).toDestination();
+
+        layerNames.forEach(name => {
+            this.layers[name] = new Tone.Volume(-Infinity).connect(this.musicBus);
+        });
+
+        this.instruments = {
+            bass: new Tone.MonoSynth({ oscillator: { type: 'square' }, envelope: { release: 0.2 } }),
+            melody: new Tone.Synth({ oscillator: { type: 'triangle' } }),
+            kick: new Tone.MembraneSynth(),
+            snare: new Tone.NoiseSynth({ envelope: { decay: 0.15, sustain: 0 } }),
+            hat: new Tone.MetalSynth({ envelope: { decay: 0.05 }, volume: -18 }),
+            lead: new Tone.Synth({ oscillator: { type: 'sawtooth' }, volume: -10 }),
+            portal: new Tone.PolySynth(Tone.Synth, { envelope: { attack: 0.5, release: 1.5 } })
+        };
+
+        this.routeInstrument('bass', 'bass');
+        this.routeInstrument('melody', 'melody');
+        this.routeInstrument('kick', 'drums');
+        this.routeInstrument('snare', 'drums');
+        this.routeInstrument('hat', 'drums');
+        this.routeInstrument('lead', 'lead');
+        this.routeInstrument('portal', 'portal');
+
+        this.sfx = {
+            blip: new Tone.Synth({ oscillator: { type: 'square' } }).connect(this.sfxBus),
+            thump: new Tone.MembraneSynth({ volume: -6 }).connect(this.sfxBus),
+            noise: new Tone.NoiseSynth({ envelope: { decay: 0.4, sustain: 0 } }).connect(this.sfxBus)
+        };
+    }
+
+    /**
+     * Connect an instrument to its layer volume (or straight to the music bus)
+     */
+    routeInstrument(instrument, layer) {
+        this.instruments[instrument].connect(this.layers[layer] || this.musicBus);
+    }
+
+    /**
+     * Resume the audio context (browsers only allow this after a user gesture)
+     */
+    start() {
+        return this.Tone.start();
+    }
+
+    /**
+     * Schedule a generated tune on the transport, replacing the previous one
+     */
+    loadMusic(music) {
+        const Tone = this.Tone;
+
+        this.clearSequences();
+        this.chord = music.chord;
+        Tone.Transport.bpm.value = music.tempo;
+
+        Object.keys(music.layers).forEach(layer => {
+            const sequence = new Tone.Sequence((time, step) => {
+                if (step !== null) this.triggerStep(layer, step, time);
+            }, music.layers[layer], '16n');
+            sequence.start(0);
+            this.sequences.push(sequence);
+        });
+    }
+
+    /**
+     * Play one step of a layer pattern
+     */
+    triggerStep(layer, step, time) {
+        if (layer === 'drums') {
+            if (step === 'kick') this.instruments.kick.triggerAttackRelease('C1', '8n', time);
+            if (step === 'snare') this.instruments.snare.triggerAttackRelease('16n', time);
+            if (step === 'hat') this.instruments.hat.triggerAttackRelease('C4', '32n', time);
+        } else if (layer === 'portal') {
+            this.instruments.portal.triggerAttackRelease(this.chord, '1m', time);
+        } else if (this.instruments[layer]) {
+            this.instruments[layer].triggerAttackRelease(step, '16n', time);
+        }
+    }
+
+    play() {
+        this.Tone.Transport.start();
+    }
+
+    pause() {
+        this.Tone.Transport.pause();
+    }
+
+    stop() {
+        this.Tone.Transport.stop();
+    }
+
+    setLayerVolume(layer, gain) {
+        if (!this.layers[layer]) return;
+        this.layers[layer].volume.rampTo(this.Tone.gainToDb(gain), 0.1);
+    }
+
+    setBusVolume(bus, gain) {
+        const node = bus === 'sfx' ? this.sfxBus : this.musicBus;
+        if (node) node.volume.value = this.Tone.gainToDb(gain);
+    }
+
+    /**
+     * Play a sound effect by name
+     */
+    playSound(name) {
+        const effect = SOUND_EFFECTS[name];
+        if (!effect) {
+            console.warn(`Unknown sound effect: ${name}`);
+            return;
+        }
+
+        const synth = this.sfx[effect.synth];
+        const now = this.Tone.now();
+        const spacing = this.Tone.Time('32n').toSeconds();
+        effect.notes.forEach((note, index) => {
+            const time = now + index * spacing;
+            if (note === null) {
+                synth.triggerAttackRelease(effect.duration, time);
+            } else {
+                synth.triggerAttackRelease(note, effect.duration, time);
+            }
+        });
+    }
+
+    /**
+     * Dispose scheduled sequences
+     */
+    clearSequences() {
+        this.sequences.forEach(sequence => sequence.dispose());
+        this.sequences = [];
+    }
+
+    /**
+     * Release all audio nodes
+     */
+    dispose() {
+        this.clearSequences();
+        this.stop();
+        Object.values(this.instruments).forEach(node => node.dispose());
+        Object.values(this.sfx).forEach(node => node.dispose());
+        Object.values(this.layers).forEach(node => node.dispose());
+        if (this.musicBus) this.musicBus.dispose();
+        if (this.sfxBus) this.sfxBus.dispose();
+    }
+}
+
+/**
+ * Silent backend (tests, Node, or browsers without Web Audio)
+ * Keeps the state a real backend would have so the audio manager can be inspected
+ */
+export class NullAudioBackend {
+    constructor() {
+        this.music = null;
+        this.playing = false;
+        this.layerVolumes = {};
+        this.busVolumes = { music: 1, sfx: 1 };
+        this.lastSound = null;
+    }
+
+    async init(layerNames) {
+        layerNames.forEach(name => {
+            this.layerVolumes[name] = 0;
+        });
+    }
+
+    start() {
+        return Promise.resolve();
+    }
+
+    loadMusic(music) {
+        this.music = music;
+    }
+
+    play() {
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    setLayerVolume(layer, gain) {
+        this.layerVolumes[layer] = gain;
+    }
+
+    setBusVolume(bus, gain) {
+        this.busVolumes[bus] = gain;
+    }
+
+    playSound(name) {
+        this.lastSound = name;
+    }
+
+    dispose() {
+        this.stop();
+        this.music = null;
+    }
+}
+
+/**
+ * Pick Tone.js where it is loaded, otherwise the silent backend
+ */
+export function createDefaultAudioBackend() {
+    if (ToneAudioBackend.isAvailable()) {
+        return new ToneAudioBackend();
+    }
+    return new NullAudioBackend();
+}
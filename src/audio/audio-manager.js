@@ -0,0 +1,298 @@
+/**
+ * Audio Manager Module
+ * Procedural per-level music with adaptive layers, and sound effects
+ */
+
+import { generateMusic } from './music-generator.js';
+import { NullAudioBackend, createDefaultAudioBackend } from './audio-backends.js';
+import { GAME_EVENTS } from '../core/event-bus.js';
+
+// Sound effect played for each gameplay event
+const EVENT_SOUNDS = {
+    [GAME_EVENTS.JUMP]: 'jump',
+    [GAME_EVENTS.LAND]: 'land',
+    [GAME_EVENTS.COLLECT]: 'collect',
+    [GAME_EVENTS.POWER_UP_START]: 'powerUp',
+    [GAME_EVENTS.FORM_CHANGED]: 'formChange',
+    [GAME_EVENTS.DEATH]: 'death',
+    [GAME_EVENTS.LEVEL_COMPLETE]: 'victory'
+};
+
+// Music layers and what drives their volume
+export const MUSIC_LAYERS = {
+    bass: 'always',
+    melody: 'always',
+    drums: 'speed',
+    lead: 'powerUps',
+    portal: 'portalDistance'
+};
+
+// Speeds (px/s) where the speed-driven layers start and reach full volume
+const SPEED_LAYER_MIN = 280;
+const SPEED_LAYER_MAX = 560;
+
+// Distance (px) from the teleport where its hum becomes audible
+const PORTAL_HEARING_DISTANCE = 1200;
+
+// How fast layer volumes follow their targets (per second)
+const LAYER_FADE_RATE = 3;
+
+export class AudioManager {
+    constructor(backend = null) {
+        this.backend = backend;
+        this.initialized = false;
+
+        // Connected systems (for adaptive layers)
+        this.player = null;
+        this.levelManager = null;
+
+        // Music state: 'stopped', 'playing' or 'paused'
+        this.musicState = 'stopped';
+        this.music = null;
+        this.musicKey = null;
+
+        // Current layer volumes, faded toward their targets in update
+        this.layerVolumes = {};
+        Object.keys(MUSIC_LAYERS).forEach(layer => {
+            this.layerVolumes[layer] = 0;
+        });
+
+        this.volumes = { music: 0.8, sfx: 1.0 };
+    }
+
+    /**
+     * Initialize audio backend (falls back to silence if Tone.js fails)
+     */
+    async init() {
+        if (!this.backend) this.backend = createDefaultAudioBackend();
+
+        try {
+            await this.backend.init(Object.keys(MUSIC_LAYERS));
+        } catch (error) {
+            console.warn('Audio unavailable, continuing without sound:', error);
+            this.backend = new NullAudioBackend();
+            await this.backend.init(Object.keys(MUSIC_LAYERS));
+        }
+
+        this.initialized = true;
+        this.applyVolumes();
+    }
+
+    /**
+     * Connect the systems that drive adaptive music
+     */
+    attach(player, levelManager) {
+        this.player = player;
+        this.levelManager = levelManager;
+    }
+
+    /**
+     * Play sound effects for gameplay events
+     * Returns a function that unsubscribes again
+     */
+    subscribe(events) {
+        const unsubscribers = Object.keys(EVENT_SOUNDS).map(event =>
+            events.on(event, () => this.playSound(EVENT_SOUNDS[event]))
+        );
+        return () => unsubscribers.forEach(off => off());
+    }
+
+    /**
+     * Set music and sound effect volumes (0 to 1), e.g. from saved settings
+     */
+    setVolumes({ musicVolume = this.volumes.music, sfxVolume = this.volumes.sfx } = {}) {
+        this.volumes = { music: musicVolume, sfx: sfxVolume };
+        this.applyVolumes();
+    }
+
+    /**
+     * Push bus volumes to the backend
+     */
+    applyVolumes() {
+        if (!this.initialized) return;
+        this.backend.setBusVolume('music', this.volumes.music);
+        this.backend.setBusVolume('sfx', this.volumes.sfx);
+    }
+
+    /**
+     * Unlock audio output (must be called from a user gesture in browsers)
+     */
+    unlock() {
+        if (!this.initialized) return Promise.resolve();
+        return Promise.resolve(this.backend.start()).catch(error => {
+            console.warn('Failed to start audio:', error);
+        });
+    }
+
+    /**
+     * Start music for the current level from the beginning
+     */
+    playMusic() {
+        if (!this.initialized) return;
+
+        this.unlock();
+        this.loadLevelMusic(true);
+        this.backend.stop();
+        this.backend.play();
+        this.musicState = 'playing';
+    }
+
+    /**
+     * Pause music
+     */
+    pauseMusic() {
+        if (this.musicState !== 'playing') return;
+        this.backend.pause();
+        this.musicState = 'paused';
+    }
+
+    /**
+     * Resume paused music (does nothing if music is already playing or was stopped)
+     */
+    resumeMusic() {
+        if (this.musicState !== 'paused') return;
+        this.backend.play();
+        this.musicState = 'playing';
+    }
+
+    /**
+     * Stop music and silence all layers
+     */
+    stopAll() {
+        if (!this.initialized) return;
+        this.backend.stop();
+        this.musicState = 'stopped';
+        Object.keys(this.layerVolumes).forEach(layer => {
+            this.layerVolumes[layer] = 0;
+            this.backend.setLayerVolume(layer, 0);
+        });
+    }
+
+    /**
+     * Check if music is playing
+     */
+    isMusicPlaying() {
+        return this.musicState === 'playing';
+    }
+
+    /**
+     * Play a sound effect by name (jump, land, collect, powerUp, formChange, death, victory)
+     */
+    playSound(name) {
+        if (!this.initialized) return;
+        this.backend.playSound(name);
+    }
+
+    /**
+     * Play level complete sound
+     */
+    playVictorySound() {
+        this.playSound('victory');
+    }
+
+    /**
+     * Play death sound
+     */
+    playDeathSound() {
+        this.playSound('death');
+    }
+
+    /**
+     * Generate and load music for the current level if it changed
+     */
+    loadLevelMusic(force = false) {
+        const seed = this.levelManager ? this.levelManager.getMusicSeed() : 0;
+        const level = this.levelManager ? this.levelManager.getCurrentLevel() : 1;
+        const key = `${seed}:${level}`;
+        if (!force && key === this.musicKey) return;
+
+        this.music = generateMusic(seed, level);
+        this.musicKey = key;
+        this.backend.loadMusic(this.music);
+    }
+
+    /**
+     * Fade music layers toward the current game intensity
+     */
+    update(dt) {
+        if (!this.initialized || this.musicState !== 'playing') return;
+
+        // Switching levels (next level, level select) switches the tune
+        this.loadLevelMusic();
+
+        const targets = this.getLayerTargets();
+        const fade = Math.min(1, dt * LAYER_FADE_RATE);
+
+        Object.keys(targets).forEach(layer => {
+            const volume = this.layerVolumes[layer] + (targets[layer] - this.layerVolumes[layer]) * fade;
+            this.layerVolumes[layer] = volume;
+            this.backend.setLayerVolume(layer, volume);
+        });
+    }
+
+    /**
+     * Get target volume of each layer from player speed, power-ups and teleport distance
+     */
+    getLayerTargets() {
+        const targets = {};
+        Object.keys(MUSIC_LAYERS).forEach(layer => {
+            switch (MUSIC_LAYERS[layer]) {
+                case 'speed':
+                    targets[layer] = this.getSpeedIntensity();
+                    break;
+                case 'powerUps':
+                    targets[layer] = this.getPowerUpIntensity();
+                    break;
+                case 'portalDistance':
+                    targets[layer] = this.getPortalProximity();
+                    break;
+                default:
+                    targets[layer] = 1;
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Get 0-1 intensity from player running speed
+     */
+    getSpeedIntensity() {
+        if (!this.player) return 0;
+        const speed = Math.abs(this.player.dx);
+        return clamp01((speed - SPEED_LAYER_MIN) / (SPEED_LAYER_MAX - SPEED_LAYER_MIN));
+    }
+
+    /**
+     * Get 0-1 intensity from active power-ups
+     */
+    getPowerUpIntensity() {
+        if (!this.player || !this.player.effects) return 0;
+        const active = this.player.effects.getEntries().length;
+        return active > 0 ? Math.min(1, 0.5 + active * 0.25) : 0;
+    }
+
+    /**
+     * Get 0-1 closeness of the player to the level teleport
+     */
+    getPortalProximity() {
+        if (!this.player || !this.levelManager) return 0;
+        const teleport = this.levelManager.getTeleport();
+        if (!teleport) return 0;
+
+        const dx = (teleport.x + teleport.width / 2) - (this.player.x + this.player.width / 2);
+        const dy = (teleport.y + teleport.height / 2) - (this.player.y + this.player.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return clamp01(1 - distance / PORTAL_HEARING_DISTANCE);
+    }
+
+    /**
+     * Get current volume of a music layer
+     */
+    getLayerVolume(layer) {
+        return this.layerVolumes[layer] || 0;
+    }
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
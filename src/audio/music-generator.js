@@ -0,0 +1,141 @@
+/**
+ * Music Generator Module
+ * Seeded, scale-based music patterns: the same seed and level always produce the same tune
+ */
+
+import { SeededRandom, hashSeed } from '../utils/random.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Scale intervals in semitones from the root
+export const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    majorPentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10]
+};
+
+// Steps per pattern (sixteenth notes over one bar of 4/4)
+export const PATTERN_STEPS = 16;
+
+// Mixed into the level seed so music does not share a random stream with level layout
+const MUSIC_SALT = 0x6d757369;
+
+const BASE_TEMPO = 100;
+const MAX_TEMPO = 140;
+
+/**
+ * Get note name (e.g. "C#4") from semitones above C and an octave
+ */
+export function noteName(semitone, octave) {
+    const wrapped = ((semitone % 12) + 12) % 12;
+    return `${NOTE_NAMES[wrapped]}${octave + Math.floor(semitone / 12)}`;
+}
+
+/**
+ * Get note of a scale degree (degrees past the scale length wrap into higher octaves)
+ */
+function scaleNote(root, scale, degree, octave) {
+    const length = scale.length;
+    const octaveShift = Math.floor(degree / length);
+    const interval = scale[((degree % length) + length) % length];
+    return noteName(root + interval, octave + octaveShift);
+}
+
+/**
+ * Generate the music for a level
+ * Returns tempo, key and one step pattern per layer (null steps are rests)
+ */
+export function generateMusic(seed, level) {
+    const random = new SeededRandom(hashSeed(seed, level, MUSIC_SALT));
+
+    const scaleName = random.pick(Object.keys(SCALES));
+    const scale = SCALES[scaleName];
+    const root = random.int(0, 11);
+    const tempo = Math.min(MAX_TEMPO, BASE_TEMPO + (level - 1) * 2 + random.int(0, 8));
+
+    return {
+        tempo,
+        key: NOTE_NAMES[root],
+        scale: scaleName,
+        chord: [0, 2, 4].map(degree => scaleNote(root, scale, degree, 3)),
+        layers: {
+            bass: generateBass(random, root, scale),
+            melody: generateMelody(random, root, scale),
+            drums: generateDrums(random),
+            lead: generateLead(random, root, scale),
+            portal: generatePortal()
+        }
+    };
+}
+
+/**
+ * Bass line on root, fifth and octave
+ */
+function generateBass(random, root, scale) {
+    const degrees = [0, 0, 4, 7];
+    const steps = [];
+    for (let i = 0; i < PATTERN_STEPS; i++) {
+        steps.push(i % 4 === 0 || random.chance(0.2) ? scaleNote(root, scale, random.pick(degrees), 2) : null);
+    }
+    return steps;
+}
+
+/**
+ * Melody as a random walk over the scale with rests
+ */
+function generateMelody(random, root, scale) {
+    let degree = random.int(0, scale.length - 1);
+    const steps = [];
+    for (let i = 0; i < PATTERN_STEPS; i++) {
+        if (i % 2 === 1 || random.chance(0.25)) {
+            steps.push(null);
+            continue;
+        }
+        degree = Math.max(0, Math.min(scale.length * 2 - 1, degree + random.int(-2, 2)));
+        steps.push(scaleNote(root, scale, degree, 4));
+    }
+    return steps;
+}
+
+/**
+ * Drum pattern of kicks, snares and hi-hats
+ */
+function generateDrums(random) {
+    const steps = [];
+    for (let i = 0; i < PATTERN_STEPS; i++) {
+        if (i % 8 === 0) {
+            steps.push('kick');
+        } else if (i % 8 === 4) {
+            steps.push('snare');
+        } else if (i % 2 === 0 || random.chance(0.3)) {
+            steps.push('hat');
+        } else {
+            steps.push(null);
+        }
+    }
+    return steps;
+}
+
+/**
+ * Fast arpeggio over the tonic chord, layered in while power-ups are active
+ */
+function generateLead(random, root, scale) {
+    const chord = [0, 2, 4, 7];
+    const steps = [];
+    for (let i = 0; i < PATTERN_STEPS; i++) {
+        steps.push(scaleNote(root, scale, chord[(i + random.int(0, 1)) % chord.length], 5));
+    }
+    return steps;
+}
+
+/**
+ * Teleport hum: the tonic chord held for the whole bar
+ */
+function generatePortal() {
+    const steps = new Array(PATTERN_STEPS).fill(null);
+    steps[0] = 'chord';
+    return steps;
+}
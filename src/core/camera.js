@@ -1,14 +1,25 @@
 /**
  * Camera Module
  * Manages camera movement and viewport calculations
+ * Follows the player with speed look-ahead and a vertical dead zone, supports zoom and trauma shake
  */
 
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+import { SeededRandom } from '../utils/random.js';
+
 export class Camera {
-    constructor() {
+    constructor(events = new EventBus()) {
+        // Gameplay events (screen shake)
+        this.events = events;
+        
         // Camera position
         this.x = 0;
         this.y = 0;
         
+        // Position on the previous simulation tick (for render interpolation)
+        this.prevX = 0;
+        this.prevY = 0;
+        
         // Target position (where camera wants to be)
         this.targetX = 0;
         this.targetY = 0;
@@ -18,10 +29,41 @@ export class Camera {
         this.offsetX = 0;
         this.offsetY = 0;
         
-        // Viewport dimensions
+        // Viewport dimensions (screen pixels)
         this.width = 0;
         this.height = 0;
         
+        // Zoom: screen pixels per world unit
+        this.zoom = 1;
+        this.minZoom = 0.5;
+        this.maxZoom = 2;
+        
+        // Look-ahead: see further ahead the faster the target runs
+        this.lookAheadTime = 0.35;   // seconds of travel shown ahead
+        this.maxLookAhead = 240;     // world units
+        this.lookAheadSmoothness = 0.04;
+        this.lookAhead = 0;
+        
+        // Vertical dead zone: the view only moves once the target leaves this band
+        this.deadZoneHeight = 120;   // world units above and below the focus
+        this.groundRecenter = 0.08;  // how fast the view recenters on landing
+        this.focusY = null;
+        
+        // Trauma shake: trauma (0-1) decays over time, shake grows with trauma squared
+        this.trauma = 0;
+        this.traumaDecay = 1.5;      // per second
+        this.maxShakeOffset = 18;    // screen pixels
+        this.maxShakeAngle = 0.04;   // radians
+        this.shakeX = 0;
+        this.shakeY = 0;
+        this.shakeAngle = 0;
+        
+        // Landings faster than this shake the camera (px/s)
+        this.hardLandingSpeed = 850;
+        
+        // Shake noise is seeded so replays shake the same way
+        this.random = new SeededRandom(1);
+        
         // Render buffer for off-screen objects
         this.renderBuffer = 0;
         
@@ -54,24 +96,102 @@ export class Camera {
         }
     }
     
+    /**
+     * Seed shake noise (e.g. from the level seed) and restart its sequence
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+    }
+    
     /**
      * Update camera position
      */
     update(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         // Calculate smooth factor based on frame rate
         const smoothFactor = 1 - Math.pow(1 - this.smoothness, dt * 60);
         
         // Smoothly move camera towards target
         this.x += (this.targetX - this.x) * smoothFactor;
         this.y += (this.targetY - this.y) * smoothFactor;
+        
+        this.updateShake(dt);
+    }
+    
+    /**
+     * Decay trauma and sample a new shake offset
+     */
+    updateShake(dt) {
+        this.trauma = Math.max(0, this.trauma - this.traumaDecay * dt);
+        
+        if (this.trauma === 0) {
+            this.shakeX = 0;
+            this.shakeY = 0;
+            this.shakeAngle = 0;
+            return;
+        }
+        
+        const shake = this.trauma * this.trauma;
+        this.shakeX = this.maxShakeOffset * shake * (this.random.next() * 2 - 1);
+        this.shakeY = this.maxShakeOffset * shake * (this.random.next() * 2 - 1);
+        this.shakeAngle = this.maxShakeAngle * shake * (this.random.next() * 2 - 1);
     }
     
     /**
      * Follow a target (usually the player)
+     * Looks ahead by the target's speed and keeps still vertically while the target stays in the dead zone
      */
     follow(target) {
-        this.targetX = target.x - this.offsetX;
-        this.targetY = target.y - this.offsetY;
+        // Look-ahead eases toward the distance covered in lookAheadTime
+        const speed = Math.max(0, target.dx || 0);
+        const lookAheadTarget = Math.min(this.maxLookAhead, speed * this.lookAheadTime);
+        this.lookAhead += (lookAheadTarget - this.lookAhead) * this.lookAheadSmoothness;
+        
+        // Vertical dead zone around the focus; recenter once the target is on the ground
+        if (this.focusY === null) {
+            this.focusY = target.y;
+        } else if (target.y > this.focusY + this.deadZoneHeight) {
+            this.focusY = target.y - this.deadZoneHeight;
+        } else if (target.y < this.focusY - this.deadZoneHeight) {
+            this.focusY = target.y + this.deadZoneHeight;
+        } else if (target.onGround) {
+            this.focusY += (target.y - this.focusY) * this.groundRecenter;
+        }
+        
+        this.targetX = target.x + this.lookAhead - this.offsetX / this.zoom;
+        this.targetY = this.focusY - this.offsetY / this.zoom;
+    }
+    
+    /**
+     * Add trauma (0-1); shake strength grows with trauma squared
+     */
+    addTrauma(amount) {
+        this.trauma = Math.min(1, this.trauma + amount);
+        this.events.emit(GAME_EVENTS.CAMERA_SHAKE, {
+            intensity: this.trauma,
+            duration: this.trauma / this.traumaDecay
+        });
+    }
+    
+    /**
+     * Shake for a landing, harder the faster the fall (soft landings do nothing)
+     */
+    shakeForLanding(impactSpeed) {
+        if (impactSpeed <= this.hardLandingSpeed) return;
+        this.addTrauma(Math.min(0.5, (impactSpeed - this.hardLandingSpeed) / this.hardLandingSpeed));
+    }
+    
+    /**
+     * Get current shake offset (screen pixels) and angle
+     */
+    getShake() {
+        return {
+            x: this.shakeX,
+            y: this.shakeY,
+            angle: this.shakeAngle
+        };
     }
     
     /**
@@ -80,6 +200,8 @@ export class Camera {
     setPosition(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.targetX = x;
         this.targetY = y;
     }
@@ -90,19 +212,39 @@ export class Camera {
     reset() {
         this.x = 0;
         this.y = 0;
+        this.prevX = 0;
+        this.prevY = 0;
         this.targetX = 0;
         this.targetY = 0;
+        this.lookAhead = 0;
+        this.focusY = null;
+        this.trauma = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
+        this.shakeAngle = 0;
+        this.random.reset();
+    }
+    
+    /**
+     * Get size of the visible area in world units
+     */
+    getViewSize() {
+        return {
+            width: this.width / this.zoom,
+            height: this.height / this.zoom
+        };
     }
     
     /**
-     * Get camera bounds for culling
+     * Get camera bounds for culling (world units)
      */
     getBounds() {
+        const view = this.getViewSize();
         return {
             left: this.x - this.renderBuffer,
-            right: this.x + this.width + this.renderBuffer,
+            right: this.x + view.width + this.renderBuffer,
             top: this.y - this.renderBuffer,
-            bottom: this.y + this.height + this.renderBuffer
+            bottom: this.y + view.height + this.renderBuffer
         };
     }
     
@@ -123,8 +265,8 @@ export class Camera {
      */
     screenToWorld(screenX, screenY) {
         return {
-            x: screenX + this.x,
-            y: screenY + this.y
+            x: screenX / this.zoom + this.x,
+            y: screenY / this.zoom + this.y
         };
     }
     
@@ -133,8 +275,8 @@ export class Camera {
      */
     worldToScreen(worldX, worldY) {
         return {
-            x: worldX - this.x,
-            y: worldY - this.y
+            x: (worldX - this.x) * this.zoom,
+            y: (worldY - this.y) * this.zoom
         };
     }
     
@@ -155,9 +297,10 @@ export class Camera {
      * Get camera center position
      */
     getCenter() {
+        const view = this.getViewSize();
         return {
-            x: this.x + this.width / 2,
-            y: this.y + this.height / 2
+            x: this.x + view.width / 2,
+            y: this.y + view.height / 2
         };
     }
     
@@ -203,21 +346,51 @@ export class Camera {
         this.renderBuffer = buffer;
     }
     
+    /**
+     * Set zoom (clamped to minZoom..maxZoom)
+     */
+    setZoom(zoom) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    }
+    
+    /**
+     * Get zoom
+     */
+    getZoom() {
+        return this.zoom;
+    }
+    
     /**
      * Shake camera effect
+     * intensity is trauma (0-1) added to the rig
      */
-    shake(intensity = 5, duration = 0.1) {
-        // This would be implemented for screen shake effects
-        // For now, just a placeholder
+    shake(intensity = 0.3) {
+        this.addTrauma(intensity);
+    }
+    
+    /**
+     * Get camera position interpolated between the previous and current tick
+     */
+    getInterpolatedPosition(alpha = 1) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
     }
     
     /**
-     * Get camera transform matrix for rendering
+     * Get camera transform for rendering
+     * screen = (world + { x, y }) * scale, then offset by shake and rotated by angle around the view center
      */
-    getTransform() {
+    getTransform(alpha = 1) {
+        const position = this.getInterpolatedPosition(alpha);
         return {
-            x: -this.x,
-            y: -this.y
+            x: -position.x,
+            y: -position.y,
+            scale: this.zoom,
+            shakeX: this.shakeX,
+            shakeY: this.shakeY,
+            angle: this.shakeAngle
         };
     }
 }
@@ -0,0 +1,322 @@
+/**
+ * Collectible Registry Module
+ * Shared, data-driven table of collectible types that mods and level packs can extend
+ */
+
+import { STACKING_POLICIES, isStackingPolicy } from './effect-timeline.js';
+
+/**
+ * Error thrown for invalid collectible type definitions
+ */
+export class CollectibleTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CollectibleTypeError';
+    }
+}
+
+// Effect types the player understands, with the fields each one may carry
+const DEFAULT_EFFECT_TYPES = {
+    powerUp: ['speedBoost', 'jumpBoost', 'invincible', 'magnet', 'healthBoost', 'form', 'duration', 'stacking'],
+    formChange: ['form']
+};
+
+// Built-in collectible types
+const DEFAULT_TYPES = {
+    pixel: {
+        name: 'Pixel',
+        size: 8,
+        value: 10,
+        color: '#f1c40f',
+        rotationSpeed: 0,
+        spawnWeight: 0.4,
+        effects: []
+    },
+    gem: {
+        name: 'Gem',
+        size: 12,
+        value: 50,
+        color: '#e74c3c',
+        rotationSpeed: 2,
+        spawnWeight: 0.2,
+        effects: []
+    },
+    star: {
+        name: 'Star',
+        size: 15,
+        value: 100,
+        color: '#f39c12',
+        rotationSpeed: 3,
+        spawnWeight: 0.1,
+        effects: []
+    },
+    powerUp: {
+        name: 'Power-Up',
+        size: 14,
+        value: 25,
+        color: '#9b59b6',
+        rotationSpeed: 1.5,
+        spawnWeight: 0.1,
+        effects: [{
+            type: 'powerUp',
+            speedBoost: 1.5,
+            duration: 5000
+        }]
+    },
+    formChange: {
+        name: 'Form Change',
+        size: 16,
+        value: 75,
+        color: '#3498db',
+        rotationSpeed: 2.5,
+        spawnWeight: 0.05,
+        effects: [{
+            type: 'formChange',
+            form: 'circle'
+        }]
+    },
+    health: {
+        name: 'Health',
+        size: 10,
+        value: 30,
+        color: '#2ecc71',
+        rotationSpeed: 1,
+        spawnWeight: 0.05,
+        effects: [{
+            type: 'powerUp',
+            healthBoost: 1,
+            duration: 0
+        }]
+    },
+    speedBoost: {
+        name: 'Speed Boost',
+        size: 11,
+        value: 40,
+        color: '#e67e22',
+        rotationSpeed: 2,
+        spawnWeight: 0.05,
+        effects: [{
+            type: 'powerUp',
+            speedBoost: 2.0,
+            duration: 8000
+        }]
+    },
+    jumpBoost: {
+        name: 'Jump Boost',
+        size: 11,
+        value: 35,
+        color: '#8e44ad',
+        rotationSpeed: 1.8,
+        spawnWeight: 0.05,
+        effects: [{
+            type: 'powerUp',
+            jumpBoost: 1.8,
+            duration: 6000
+        }]
+    },
+    invincibility: {
+        name: 'Invincibility',
+        size: 13,
+        value: 60,
+        color: '#f1c40f',
+        rotationSpeed: 4,
+        spawnWeight: 0,
+        effects: [{
+            type: 'powerUp',
+            invincible: true,
+            duration: 4000
+        }]
+    },
+    magnet: {
+        name: 'Magnet',
+        size: 12,
+        value: 45,
+        color: '#34495e',
+        rotationSpeed: 2.2,
+        spawnWeight: 0,
+        effects: [{
+            type: 'powerUp',
+            magnet: true,
+            duration: 7000
+        }]
+    }
+};
+
+export class CollectibleRegistry {
+    constructor() {
+        this.types = new Map();
+        this.effectTypes = new Map(
+            Object.entries(DEFAULT_EFFECT_TYPES).map(([type, fields]) => [type, new Set(fields)])
+        );
+    }
+
+    /**
+     * Register the built-in collectible types
+     */
+    registerDefaults() {
+        Object.entries(DEFAULT_TYPES).forEach(([typeName, config]) => {
+            this.register(typeName, config);
+        });
+        return this;
+    }
+
+    /**
+     * Register (or override) a collectible type
+     * Throws CollectibleTypeError if the definition is invalid
+     */
+    register(typeName, config) {
+        const type = this.validate(typeName, config);
+        this.types.set(typeName, type);
+        return type;
+    }
+
+    /**
+     * Remove a collectible type
+     */
+    unregister(typeName) {
+        return this.types.delete(typeName);
+    }
+
+    /**
+     * Register an effect type with the fields it may carry
+     */
+    registerEffectType(effectType, fields = []) {
+        this.effectTypes.set(effectType, new Set(fields));
+    }
+
+    /**
+     * Validate a type definition and fill in defaults
+     */
+    validate(typeName, config) {
+        if (typeof typeName !== 'string' || typeName.length === 0) {
+            throw new CollectibleTypeError('Collectible type name must be a non-empty string');
+        }
+        if (!config || typeof config !== 'object') {
+            throw new CollectibleTypeError(`Collectible type "${typeName}" needs a config object`);
+        }
+
+        const type = {
+            name: config.name || typeName,
+            size: config.size,
+            value: config.value,
+            color: config.color,
+            rotationSpeed: config.rotationSpeed || 0,
+            spawnWeight: config.spawnWeight || 0,
+            effects: config.effects || []
+        };
+
+        const positive = ['size'];
+        const nonNegative = ['value', 'spawnWeight'];
+        positive.forEach(field => {
+            if (typeof type[field] !== 'number' || !(type[field] > 0)) {
+                throw new CollectibleTypeError(`Collectible type "${typeName}": ${field} must be a positive number`);
+            }
+        });
+        nonNegative.forEach(field => {
+            if (typeof type[field] !== 'number' || !(type[field] >= 0)) {
+                throw new CollectibleTypeError(`Collectible type "${typeName}": ${field} must be a non-negative number`);
+            }
+        });
+        if (typeof type.rotationSpeed !== 'number' || Number.isNaN(type.rotationSpeed)) {
+            throw new CollectibleTypeError(`Collectible type "${typeName}": rotationSpeed must be a number`);
+        }
+        if (typeof type.color !== 'string' || type.color.length === 0) {
+            throw new CollectibleTypeError(`Collectible type "${typeName}": color must be a CSS color string`);
+        }
+        if (!Array.isArray(type.effects)) {
+            throw new CollectibleTypeError(`Collectible type "${typeName}": effects must be an array`);
+        }
+
+        type.effects = type.effects.map((effect, index) => this.validateEffect(typeName, effect, index));
+        return type;
+    }
+
+    /**
+     * Validate a single effect of a type definition
+     */
+    validateEffect(typeName, effect, index) {
+        const where = `Collectible type "${typeName}" effect #${index}`;
+
+        if (!effect || typeof effect !== 'object') {
+            throw new CollectibleTypeError(`${where} must be an object`);
+        }
+
+        const fields = this.effectTypes.get(effect.type);
+        if (!fields) {
+            const known = Array.from(this.effectTypes.keys()).join(', ');
+            throw new CollectibleTypeError(`${where}: unknown effect type "${effect.type}" (known: ${known})`);
+        }
+
+        Object.keys(effect).forEach(field => {
+            if (field !== 'type' && !fields.has(field)) {
+                throw new CollectibleTypeError(`${where}: unknown field "${field}" for effect type "${effect.type}"`);
+            }
+        });
+
+        if (effect.type === 'formChange' && typeof effect.form !== 'string') {
+            throw new CollectibleTypeError(`${where}: formChange needs a form name`);
+        }
+
+        if (effect.stacking !== undefined && !isStackingPolicy(effect.stacking)) {
+            const known = Object.values(STACKING_POLICIES).join(', ');
+            throw new CollectibleTypeError(`${where}: unknown stacking policy "${effect.stacking}" (known: ${known})`);
+        }
+
+        return { ...effect };
+    }
+
+    /**
+     * Check if a type is registered
+     */
+    has(typeName) {
+        return this.types.has(typeName);
+    }
+
+    /**
+     * Get a type definition
+     */
+    get(typeName) {
+        return this.types.get(typeName) || null;
+    }
+
+    /**
+     * Get all registered type names
+     */
+    getTypeNames() {
+        return Array.from(this.types.keys());
+    }
+
+    /**
+     * Check if a type is a power-up (collecting it has effects on the player)
+     */
+    isPowerUp(typeName) {
+        const type = this.get(typeName);
+        return type !== null && type.effects.length > 0;
+    }
+
+    /**
+     * Pick a type by spawn weight
+     * Pass a seeded random generator to get reproducible results
+     * Kind limits the pick to power-ups ('powerUp') or to items that only score ('score')
+     */
+    pickRandom(rng = null, kind = null) {
+        const entries = Array.from(this.types.entries()).filter(([typeName, type]) => {
+            if (!(type.spawnWeight > 0)) return false;
+            if (kind === null) return true;
+            return this.isPowerUp(typeName) === (kind === 'powerUp');
+        });
+        const totalWeight = entries.reduce((sum, [, type]) => sum + type.spawnWeight, 0);
+        if (totalWeight === 0) return 'pixel';
+
+        let random = (rng ? rng.next() : Math.random()) * totalWeight;
+        for (const [typeName, type] of entries) {
+            random -= type.spawnWeight;
+            if (random < 0) return typeName;
+        }
+
+        return entries[entries.length - 1][0];
+    }
+}
+
+// Registry shared by all collectibles
+export const collectibleRegistry = new CollectibleRegistry().registerDefaults();
@@ -3,8 +3,12 @@
  * Manages different types of collectible objects with various properties and effects
  */
 
+import { collectibleRegistry } from './collectible-registry.js';
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+
 export class Collectible {
-    constructor(x, y, type = 'pixel') {
+    constructor(x, y, type = 'pixel', registry = collectibleRegistry) {
+        this.registry = registry;
         this.x = x;
         this.y = y;
         this.active = true;
@@ -37,127 +41,17 @@ export class Collectible {
     }
     
     /**
-     * Initialize collectible based on type
+     * Initialize collectible from its registered type
      */
     initializeType(type) {
-        const typeConfigs = {
-            pixel: {
-                name: 'Pixel',
-                size: 8,
-                value: 10,
-                color: '#f1c40f',
-                rotationSpeed: 0,
-                effects: []
-            },
-            gem: {
-                name: 'Gem',
-                size: 12,
-                value: 50,
-                color: '#e74c3c',
-                rotationSpeed: 2,
-                effects: []
-            },
-            star: {
-                name: 'Star',
-                size: 15,
-                value: 100,
-                color: '#f39c12',
-                rotationSpeed: 3,
-                effects: []
-            },
-            powerUp: {
-                name: 'Power-Up',
-                size: 14,
-                value: 25,
-                color: '#9b59b6',
-                rotationSpeed: 1.5,
-                effects: [{
-                    type: 'powerUp',
-                    speedBoost: 1.5,
-                    duration: 5000
-                }]
-            },
-            formChange: {
-                name: 'Form Change',
-                size: 16,
-                value: 75,
-                color: '#3498db',
-                rotationSpeed: 2.5,
-                effects: [{
-                    type: 'formChange',
-                    form: 'circle'
-                }]
-            },
-            health: {
-                name: 'Health',
-                size: 10,
-                value: 30,
-                color: '#2ecc71',
-                rotationSpeed: 1,
-                effects: [{
-                    type: 'powerUp',
-                    healthBoost: 1,
-                    duration: 0
-                }]
-            },
-            speedBoost: {
-                name: 'Speed Boost',
-                size: 11,
-                value: 40,
-                color: '#e67e22',
-                rotationSpeed: 2,
-                effects: [{
-                    type: 'powerUp',
-                    speedBoost: 2.0,
-                    duration: 8000
-                }]
-            },
-            jumpBoost: {
-                name: 'Jump Boost',
-                size: 11,
-                value: 35,
-                color: '#8e44ad',
-                rotationSpeed: 1.8,
-                effects: [{
-                    type: 'powerUp',
-                    jumpBoost: 1.8,
-                    duration: 6000
-                }]
-            },
-            invincibility: {
-                name: 'Invincibility',
-                size: 13,
-                value: 60,
-                color: '#f1c40f',
-                rotationSpeed: 4,
-                effects: [{
-                    type: 'powerUp',
-                    invincible: true,
-                    duration: 4000
-                }]
-            },
-            magnet: {
-                name: 'Magnet',
-                size: 12,
-                value: 45,
-                color: '#34495e',
-                rotationSpeed: 2.2,
-                effects: [{
-                    type: 'powerUp',
-                    magnet: true,
-                    duration: 7000
-                }]
-            }
-        };
-        
-        const config = typeConfigs[type] || typeConfigs.pixel;
+        const config = this.registry.get(type) || this.registry.get('pixel');
         
         this.name = config.name;
         this.size = config.size;
         this.value = config.value;
         this.color = config.color;
         this.rotationSpeed = config.rotationSpeed;
-        this.effects = config.effects;
+        this.effects = config.effects.map(effect => ({ ...effect }));
         
         // Set animation speed based on type
         this.animationSpeed = 0.1 + (this.rotationSpeed * 0.05);
@@ -189,13 +83,14 @@ export class Collectible {
     
     /**
      * Collect the item
+     * Time is the simulation time of collection in seconds
      */
-    collect() {
+    collect(time = 0) {
         if (!this.active || this.collected) return false;
         
         this.active = false;
         this.collected = true;
-        this.collectionTime = performance.now();
+        this.collectionTime = time;
         this.pulseEffect = 1;
         
         return true;
@@ -247,18 +142,31 @@ export class Collectible {
  * Manages all collectibles in the level
  */
 export class CollectibleManager {
-    constructor() {
+    constructor(registry = collectibleRegistry, events = new EventBus()) {
+        this.registry = registry;
+        this.events = events;
         this.collectibles = [];
         this.collectedCount = 0;
         this.totalCount = 0;
         this.collectionEffects = [];
+        
+        // Simulation clock (seconds), advanced only by update()
+        this.time = 0;
+    }
+    
+    /**
+     * Initialize collectible manager (starts with no collectibles until a level is loaded)
+     */
+    init() {
+        this.clear();
+        this.time = 0;
     }
     
     /**
      * Add a collectible
      */
     addCollectible(x, y, type = 'pixel') {
-        const collectible = new Collectible(x, y, type);
+        const collectible = new Collectible(x, y, type, this.registry);
         this.collectibles.push(collectible);
         this.totalCount++;
         return collectible;
@@ -277,6 +185,8 @@ export class CollectibleManager {
      * Update all collectibles
      */
     update(dt) {
+        this.time += dt;
+        
         this.collectibles.forEach(collectible => {
             collectible.update(dt);
         });
@@ -288,29 +198,67 @@ export class CollectibleManager {
         });
     }
     
+    /**
+     * Pull active collectibles toward a player with an active magnet
+     */
+    applyMagnet(player, dt) {
+        if (!player.hasMagnet()) return;
+        
+        const center = player.getCenter();
+        const radius = player.magnetRadius;
+        
+        this.collectibles.forEach(collectible => {
+            if (!collectible.active) return;
+            
+            const dx = center.x - collectible.x;
+            const dy = center.y - collectible.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist === 0 || dist > radius) return;
+            
+            // Pull gets stronger closer to the player, but never overshoots
+            const pull = Math.min(dist, player.magnetStrength * (1 - dist / radius + 0.25) * dt);
+            collectible.x += (dx / dist) * pull;
+            collectible.y += (dy / dist) * pull;
+        });
+    }
+    
     /**
      * Check collision with player
+     * score(collectible), if given, returns the award for each item ({ points, combo, multiplier })
+     * Returns the collectibles collected on this check
      */
-    checkPlayerCollision(player) {
+    checkPlayerCollision(player, score = null) {
+        const collected = [];
         this.collectibles.forEach(collectible => {
             if (collectible.active && player.handleCollectibleCollision(collectible)) {
-                this.collectItem(collectible);
+                this.collectItem(collectible, score ? score(collectible) : null);
+                collected.push(collectible);
             }
         });
+        return collected;
     }
     
     /**
      * Collect an item
+     * The award (points and combo from the score system) is shown by the collection effect
      */
-    collectItem(collectible) {
-        if (collectible.collect()) {
+    collectItem(collectible, award = null) {
+        if (collectible.collect(this.time)) {
             this.collectedCount++;
+            this.events.emit(GAME_EVENTS.COLLECT, {
+                type: collectible.type,
+                value: collectible.value,
+                x: collectible.x,
+                y: collectible.y
+            });
             
             // Add collection effect
             this.collectionEffects.push({
                 x: collectible.x,
                 y: collectible.y,
-                value: collectible.value,
+                value: award ? award.points : collectible.value,
+                combo: award ? award.combo : 0,
+                multiplier: award ? award.multiplier : 1,
                 life: 1.0,
                 type: collectible.type
             });
@@ -374,30 +322,18 @@ export class CollectibleManager {
     }
     
     /**
-     * Add custom collectible type
+     * Add custom collectible type to the registry
+     * Throws CollectibleTypeError if the definition is invalid
      */
     addCollectibleType(typeName, config) {
-        // This would extend the typeConfigs in Collectible class
-        console.log(`Added custom collectible type: ${typeName}`, config);
+        return this.registry.register(typeName, config);
     }
     
     /**
-     * Generate random collectible type
+     * Generate random collectible type, weighted by each type's spawn weight
+     * Pass a seeded random generator to get reproducible results, and a kind ('powerUp' or 'score') to narrow the pick
      */
-    generateRandomType() {
-        const types = ['pixel', 'gem', 'star', 'powerUp', 'formChange', 'health', 'speedBoost', 'jumpBoost'];
-        const weights = [0.4, 0.2, 0.1, 0.1, 0.05, 0.05, 0.05, 0.05];
-        
-        const random = Math.random();
-        let cumulativeWeight = 0;
-        
-        for (let i = 0; i < types.length; i++) {
-            cumulativeWeight += weights[i];
-            if (random <= cumulativeWeight) {
-                return types[i];
-            }
-        }
-        
-        return 'pixel';
+    generateRandomType(rng = null, kind = null) {
+        return this.registry.pickRandom(rng, kind);
     }
 }
@@ -0,0 +1,167 @@
+/**
+ * Effect Timeline Module
+ * Tracks timed power-up modifiers on simulation time and combines them by stacking policy
+ */
+
+export const STACKING_POLICIES = {
+    REFRESH: 'refresh',
+    STACK_ADDITIVE: 'stack-additive',
+    STACK_MULTIPLICATIVE: 'stack-multiplicative',
+    REPLACE: 'replace'
+};
+
+// Effect keys a power-up can carry, with their default stacking policy
+export const DEFAULT_STACKING = {
+    speedBoost: STACKING_POLICIES.STACK_ADDITIVE,
+    jumpBoost: STACKING_POLICIES.REFRESH,
+    invincible: STACKING_POLICIES.REFRESH,
+    magnet: STACKING_POLICIES.REFRESH,
+    form: STACKING_POLICIES.REPLACE
+};
+
+/**
+ * Check if a value is one of the STACKING_POLICIES
+ */
+export function isStackingPolicy(policy) {
+    return Object.values(STACKING_POLICIES).includes(policy);
+}
+
+export class EffectTimeline {
+    constructor(policies = DEFAULT_STACKING) {
+        this.policies = { ...policies };
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Set stacking policy for an effect key
+     */
+    setPolicy(key, policy) {
+        if (!isStackingPolicy(policy)) {
+            throw new Error(`Unknown stacking policy "${policy}" for effect "${key}"`);
+        }
+        this.policies[key] = policy;
+    }
+
+    /**
+     * Get stacking policy for an effect key
+     */
+    getPolicy(key) {
+        return this.policies[key] || STACKING_POLICIES.REFRESH;
+    }
+
+    /**
+     * Add a power-up effect (duration in milliseconds)
+     * Every known key on the effect becomes its own timeline entry; effect.stacking overrides the key's policy
+     * Returns the entries that were started or refreshed
+     */
+    add(effect) {
+        if (effect.stacking !== undefined && !isStackingPolicy(effect.stacking)) {
+            throw new Error(`Unknown stacking policy "${effect.stacking}"`);
+        }
+
+        const duration = (effect.duration || 0) / 1000;
+        if (duration <= 0) return [];
+
+        const changed = [];
+        Object.keys(this.policies).forEach(key => {
+            if (effect[key] === undefined || effect[key] === false) return;
+
+            const policy = effect.stacking || this.getPolicy(key);
+            const existing = this.entries.filter(entry => entry.key === key);
+
+            if (existing.length > 0 && policy === STACKING_POLICIES.REFRESH) {
+                existing.forEach(entry => {
+                    entry.remaining = Math.max(entry.remaining, duration);
+                    entry.duration = Math.max(entry.duration, duration);
+                });
+                changed.push(...existing);
+                return;
+            }
+
+            if (policy === STACKING_POLICIES.REPLACE) {
+                this.entries = this.entries.filter(entry => entry.key !== key);
+            }
+
+            const entry = {
+                id: this.nextId++,
+                key,
+                value: effect[key],
+                policy,
+                duration,
+                remaining: duration
+            };
+            this.entries.push(entry);
+            changed.push(entry);
+        });
+
+        return changed;
+    }
+
+    /**
+     * Advance timers by simulation time
+     * Returns the entries that expired on this tick
+     */
+    update(dt) {
+        const expired = [];
+        this.entries = this.entries.filter(entry => {
+            entry.remaining -= dt;
+            if (entry.remaining <= 0) {
+                expired.push(entry);
+                return false;
+            }
+            return true;
+        });
+        return expired;
+    }
+
+    /**
+     * Get combined multiplier for a numeric effect key (1 when inactive)
+     * Each entry combines by the policy it was added with: additive entries sum their bonuses,
+     * every other entry multiplies the result
+     */
+    getMultiplier(key) {
+        let additive = 1;
+        let multiplier = 1;
+        this.entries.forEach(entry => {
+            if (entry.key !== key) return;
+            if (entry.policy === STACKING_POLICIES.STACK_ADDITIVE) {
+                additive += entry.value - 1;
+            } else {
+                multiplier *= entry.value;
+            }
+        });
+        return additive * multiplier;
+    }
+
+    /**
+     * Get value of the most recent entry for a key (e.g. temporary form)
+     */
+    getLatestValue(key) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].key === key) return this.entries[i].value;
+        }
+        return null;
+    }
+
+    /**
+     * Check if any entry for a key is active
+     */
+    has(key) {
+        return this.entries.some(entry => entry.key === key);
+    }
+
+    /**
+     * Get active entries
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries = [];
+    }
+}
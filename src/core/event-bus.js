@@ -0,0 +1,139 @@
+/**
+ * Event Bus Module
+ * Typed gameplay events published by core systems for audio, effects, stats and achievements
+ * Events are raised inside simulation ticks: subscribers may react (sound, particles, counters)
+ * but must not change simulation state, or replays stop being deterministic
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+
+export const GAME_EVENTS = {
+    JUMP: 'jump',
+    LAND: 'land',
+    COLLECT: 'collect',
+    FORM_CHANGED: 'formChanged',
+    POWER_UP_START: 'powerUpStart',
+    POWER_UP_END: 'powerUpEnd',
+    DEATH: 'death',
+    RESPAWN: 'respawn',
+    STATE_CHANGED: 'stateChanged',
+    LEVEL_COMPLETE: 'levelComplete',
+    CAMERA_SHAKE: 'cameraShake'
+};
+
+// Required payload fields of each event
+const EVENT_SCHEMAS = {
+    jump: ['x', 'y', 'form', 'airJump'],
+    land: ['x', 'y', 'form', 'platformId', 'impactSpeed'],
+    collect: ['type', 'value', 'x', 'y'],
+    formChanged: ['from', 'to'],
+    powerUpStart: ['effect'],
+    powerUpEnd: ['effect'],
+    death: ['x', 'y', 'platformId'],
+    respawn: ['x', 'y'],
+    stateChanged: ['from', 'to'],
+    levelComplete: ['level', 'time', 'pixels', 'totalPixels', 'deaths'],
+    cameraShake: ['intensity', 'duration']
+};
+
+/**
+ * Error thrown for unknown events or payloads missing required fields
+ */
+export class GameEventError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GameEventError';
+    }
+}
+
+export class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        this.schemas = { ...EVENT_SCHEMAS };
+        this.anyListeners = [];
+    }
+
+    /**
+     * Define a new event type with its required payload fields
+     */
+    define(event, fields = []) {
+        if (this.schemas[event]) {
+            throw new GameEventError(`Event "${event}" is already defined`);
+        }
+        this.schemas[event] = fields;
+    }
+
+    /**
+     * Check if an event type is defined
+     */
+    has(event) {
+        return Boolean(this.schemas[event]);
+    }
+
+    /**
+     * Subscribe to an event
+     * Returns a function that removes the listener
+     */
+    on(event, callback) {
+        this.assertDefined(event);
+        return super.on(event, callback);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(event, callback) {
+        const off = this.on(event, (payload) => {
+            off();
+            callback(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Subscribe to every event (analytics, debugging); callback receives (event, payload)
+     */
+    onAny(callback) {
+        this.anyListeners.push(callback);
+        return () => {
+            this.anyListeners = this.anyListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Publish an event
+     * A failing subscriber is reported and never breaks the publisher or other subscribers
+     */
+    emit(event, payload = {}) {
+        this.assertDefined(event);
+
+        const missing = this.schemas[event].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new GameEventError(`Event "${event}" is missing fields: ${missing.join(', ')}`);
+        }
+
+        const callbacks = (this.listeners.get(event) || []).slice();
+        callbacks.forEach(callback => this.invoke(event, () => callback(payload)));
+        this.anyListeners.slice().forEach(callback => this.invoke(event, () => callback(event, payload)));
+    }
+
+    /**
+     * Call a subscriber, logging its errors
+     */
+    invoke(event, call) {
+        try {
+            call();
+        } catch (error) {
+            console.error(`Error in "${event}" subscriber:`, error);
+        }
+    }
+
+    /**
+     * Throw if an event type is unknown
+     */
+    assertDefined(event) {
+        if (!this.schemas[event]) {
+            throw new GameEventError(`Unknown event "${event}"`);
+        }
+    }
+}
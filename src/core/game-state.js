@@ -3,8 +3,55 @@
  * Manages the current state of the game and transitions between states
  */
 
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+
+/**
+ * Allowed transitions: state -> states it may change to
+ * 'exiting' is terminal
+ */
+export const STATE_TRANSITIONS = {
+    mainMenu: ['levelReady', 'exiting'],
+    levelReady: ['playing', 'paused', 'mainMenu', 'exiting'],
+    playing: ['paused', 'dead', 'enteringPortal', 'levelComplete', 'levelReady', 'mainMenu', 'exiting'],
+    paused: ['playing', 'dead', 'levelReady', 'enteringPortal', 'mainMenu', 'exiting'],
+    dead: ['playing', 'paused', 'levelReady', 'mainMenu', 'exiting'],
+    enteringPortal: ['levelComplete', 'paused', 'mainMenu', 'exiting'],
+    levelComplete: ['levelReady', 'mainMenu', 'exiting'],
+    exiting: []
+};
+
+// Transitions that need a specific reason
+// Resuming ('resume') always returns to the state that was paused
+const REQUIRED_REASONS = {
+    'dead->playing': 'respawn',
+    'paused->playing': 'resume',
+    'paused->dead': 'resume',
+    'paused->enteringPortal': 'resume'
+};
+
+// Seconds spent in timed states before they move on
+// levelReady covers the fade-in and level banner, enteringPortal the portal animation and fade-out
+const DEFAULT_TIMINGS = {
+    levelReady: 1.5,
+    enteringPortal: 1.0,
+    respawn: 1.0
+};
+
+/**
+ * Error thrown for unknown states and illegal transitions
+ */
+export class GameStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GameStateError';
+    }
+}
+
 export class GameState {
-    constructor() {
+    constructor(events = new EventBus()) {
+        // Gameplay events (state changes, level completion)
+        this.events = events;
+        
         // Game states
         this.states = {
             MAIN_MENU: 'mainMenu',
@@ -20,6 +67,19 @@ export class GameState {
         // Current state
         this.currentState = this.states.MAIN_MENU;
         
+        // Seconds spent in the current state (simulation time)
+        this.stateTime = 0;
+        
+        // State that 'paused' resumes into
+        this.pausedFrom = null;
+        
+        // Transition waiting for simulation time to reach it: { state, at, reason }
+        this.pendingTransition = null;
+        this.timings = { ...DEFAULT_TIMINGS };
+        
+        // Enter/exit/update hooks per state
+        this.hooks = { enter: {}, exit: {}, update: {} };
+        
         // Game statistics
         this.stats = {
             score: 0,
@@ -28,27 +88,220 @@ export class GameState {
             levelDeaths: 0,
             pixelsCollected: 0,
             totalPixelsInLevel: 0,
-            levelStartTime: 0,
             consecutiveDeaths: 0
         };
         
         // Time scaling for pause effects
         this.timeScale = 1.0;
         this.timeScaleTarget = 1.0;
+        
+        // Simulation clock (seconds), advanced only by update()
+        this.simulationTime = 0;
+        
+        // Level clock: runs from the first tick of play until the player enters the teleport
+        // Kept as elapsed time outside the stats, so the start banner (or skipping it) never changes them
+        this.levelTime = 0;
+        this.levelClockRunning = false;
+        
+        // Platform the last death happened from (consecutive deaths count deaths from the same one)
+        this.lastDeathPlatformId = null;
+        
+        this.registerDefaultHooks();
+    }
+    
+    /**
+     * Resolve a state name ('playing' or 'PLAYING'), throwing for unknown states
+     */
+    resolveState(state) {
+        const name = String(state);
+        if (this.states[name.toUpperCase()]) return this.states[name.toUpperCase()];
+        if (Object.values(this.states).includes(name)) return name;
+        throw new GameStateError(`Unknown game state "${state}"`);
+    }
+    
+    /**
+     * Check if the current state may change to another state
+     */
+    canTransition(state, reason = null) {
+        const to = this.resolveState(state);
+        const from = this.currentState;
+        
+        if (!STATE_TRANSITIONS[from].includes(to)) return false;
+        
+        const requiredReason = REQUIRED_REASONS[`${from}->${to}`];
+        if (requiredReason && reason !== requiredReason) return false;
+        
+        if (from === this.states.PAUSED && reason === 'resume') {
+            return to === this.pausedFrom;
+        }
+        
+        return true;
     }
     
     /**
      * Set the current game state
+     * Throws GameStateError for unknown states and transitions the table does not allow
      */
-    setGameState(state) {
-        if (this.states[state.toUpperCase()]) {
-            this.currentState = this.states[state.toUpperCase()];
-        } else {
-            this.currentState = state;
+    setGameState(state, reason = null) {
+        const to = this.resolveState(state);
+        const from = this.currentState;
+        
+        if (!this.canTransition(to, reason)) {
+            const requiredReason = REQUIRED_REASONS[`${from}->${to}`];
+            let detail = requiredReason ? ` (only through ${requiredReason})` : '';
+            if (reason === 'resume' && from === this.states.PAUSED) {
+                detail = ` (can only resume "${this.pausedFrom}")`;
+            }
+            throw new GameStateError(`Illegal game state transition from "${from}" to "${to}"${detail}`);
+        }
+        
+        const resumed = from === this.states.PAUSED && reason === 'resume';
+        const context = { from, to, reason, resumed };
+        
+        this.runHooks('exit', from, context);
+        
+        // Pausing freezes a pending timed transition; any other change cancels it
+        if (to === this.states.PAUSED) {
+            this.pausedFrom = from;
+        } else if (!resumed) {
+            this.pendingTransition = null;
         }
         
-        // Handle state-specific actions
-        this.handleStateChange();
+        this.currentState = to;
+        if (!resumed && to !== this.states.PAUSED) this.stateTime = 0;
+        
+        this.runHooks('enter', to, context);
+        
+        this.events.emit(GAME_EVENTS.STATE_CHANGED, { from, to, reason });
+        if (this.currentState === this.states.LEVEL_COMPLETE) {
+            this.events.emit(GAME_EVENTS.LEVEL_COMPLETE, {
+                level: this.stats.currentLevel,
+                time: this.getLevelTime(),
+                pixels: this.stats.pixelsCollected,
+                totalPixels: this.stats.totalPixelsInLevel,
+                deaths: this.stats.levelDeaths
+            });
+        }
+    }
+    
+    /**
+     * Resume the state that was paused
+     */
+    resume() {
+        this.setGameState(this.pausedFrom || this.states.PLAYING, 'resume');
+    }
+    
+    /**
+     * Change state once simulation time has advanced by delay seconds
+     */
+    scheduleTransition(state, delay, reason = null) {
+        this.pendingTransition = {
+            state: this.resolveState(state),
+            at: this.simulationTime + delay,
+            reason
+        };
+    }
+    
+    /**
+     * Get transition waiting to happen (null if none)
+     */
+    getPendingTransition() {
+        return this.pendingTransition;
+    }
+    
+    /**
+     * Get seconds spent in the current state
+     */
+    getStateTime() {
+        return this.stateTime;
+    }
+    
+    /**
+     * Run a callback when a state is entered; receives { from, to, reason, resumed }
+     * Returns a function that removes the hook
+     */
+    onEnter(state, callback) {
+        return this.addHook('enter', state, callback);
+    }
+    
+    /**
+     * Run a callback when a state is left; receives { from, to, reason, resumed }
+     */
+    onExit(state, callback) {
+        return this.addHook('exit', state, callback);
+    }
+    
+    /**
+     * Run a callback on every update while in a state; receives dt
+     */
+    onUpdate(state, callback) {
+        return this.addHook('update', state, callback);
+    }
+    
+    /**
+     * Register a hook
+     */
+    addHook(kind, state, callback) {
+        const name = this.resolveState(state);
+        const hooks = this.hooks[kind];
+        if (!hooks[name]) hooks[name] = [];
+        hooks[name].push(callback);
+        return () => {
+            hooks[name] = hooks[name].filter(hook => hook !== callback);
+        };
+    }
+    
+    /**
+     * Call hooks of a state
+     */
+    runHooks(kind, state, arg) {
+        const hooks = this.hooks[kind][state];
+        if (!hooks) return;
+        hooks.slice().forEach(hook => hook(arg));
+    }
+    
+    /**
+     * Built-in behaviour of each state
+     * Returning from pause is not a new entry: stats and timers carry on
+     */
+    registerDefaultHooks() {
+        this.onEnter(this.states.PLAYING, (context) => {
+            this.timeScaleTarget = 1.0;
+            
+            // The level clock starts when the player gets control
+            if (context.from === this.states.LEVEL_READY) {
+                this.levelTime = 0;
+                this.levelClockRunning = true;
+            }
+        });
+        
+        this.onEnter(this.states.PAUSED, () => {
+            this.timeScaleTarget = 0.0;
+        });
+        
+        this.onEnter(this.states.DEAD, (context) => {
+            if (context.resumed) return;
+            this.scheduleTransition(this.states.PLAYING, this.timings.respawn, 'respawn');
+        });
+        
+        this.onEnter(this.states.LEVEL_READY, (context) => {
+            if (context.resumed) return;
+            this.timeScaleTarget = 1.0;
+            this.levelTime = 0;
+            this.levelClockRunning = false;
+            this.scheduleTransition(this.states.PLAYING, this.timings.levelReady);
+        });
+        
+        this.onEnter(this.states.ENTERING_PORTAL, (context) => {
+            if (context.resumed) return;
+            this.levelClockRunning = false;
+            this.scheduleTransition(this.states.LEVEL_COMPLETE, this.timings.enteringPortal);
+        });
+        
+        this.onEnter(this.states.LEVEL_COMPLETE, () => {
+            this.timeScaleTarget = 0.0;
+            this.levelClockRunning = false;
+        });
     }
     
     /**
@@ -94,35 +347,35 @@ export class GameState {
     }
     
     /**
-     * Handle state change actions
-     */
-    handleStateChange() {
-        switch (this.currentState) {
-            case this.states.PLAYING:
-                this.timeScaleTarget = 1.0;
-                break;
-            case this.states.PAUSED:
-                this.timeScaleTarget = 0.0;
-                break;
-            case this.states.DEAD:
-                this.stats.levelDeaths++;
-                this.stats.totalDeaths++;
-                this.stats.consecutiveDeaths++;
-                break;
-            case this.states.LEVEL_COMPLETE:
-                this.timeScaleTarget = 0.0;
-                break;
-            case this.states.LEVEL_READY:
-                this.timeScaleTarget = 1.0;
-                this.stats.levelStartTime = performance.now();
-                break;
-        }
+     * Check if simulation time runs in the current state (timed states and play)
+     */
+    isSimulating() {
+        return this.currentState === this.states.PLAYING ||
+               this.currentState === this.states.DEAD ||
+               this.currentState === this.states.LEVEL_READY ||
+               this.currentState === this.states.ENTERING_PORTAL;
     }
     
     /**
-     * Update time scale for smooth transitions
+     * Advance simulation time, run the current state's update hooks and due timed transitions
      */
     update(dt) {
+        // A paused game holds its clock and any pending timed transition until resumed
+        if (this.isPaused()) return;
+        
+        this.simulationTime += dt;
+        this.stateTime += dt;
+        if (this.levelClockRunning) this.levelTime += dt;
+        
+        this.runHooks('update', this.currentState, dt);
+        
+        // Small tolerance: delays are sums of fixed steps
+        const pending = this.pendingTransition;
+        if (pending && this.simulationTime >= pending.at - 1e-9) {
+            this.pendingTransition = null;
+            this.setGameState(pending.state, pending.reason);
+        }
+        
         const timeScaleDiff = this.timeScaleTarget - this.timeScale;
         if (Math.abs(timeScaleDiff) > 0.01) {
             this.timeScale += timeScaleDiff * 0.1;
@@ -145,7 +398,9 @@ export class GameState {
         this.stats.levelDeaths = 0;
         this.stats.pixelsCollected = 0;
         this.stats.consecutiveDeaths = 0;
-        this.stats.levelStartTime = 0;
+        this.levelTime = 0;
+        this.levelClockRunning = false;
+        this.lastDeathPlatformId = null;
     }
     
     /**
@@ -155,6 +410,13 @@ export class GameState {
         this.stats.score += points;
     }
     
+    /**
+     * Set score (e.g. back to its value at level start)
+     */
+    setScore(points) {
+        this.stats.score = points;
+    }
+    
     /**
      * Get current score
      */
@@ -223,8 +485,7 @@ export class GameState {
      * Get level time
      */
     getLevelTime() {
-        if (this.stats.levelStartTime === 0) return 0;
-        return (performance.now() - this.stats.levelStartTime) / 1000;
+        return this.levelTime;
     }
     
     /**
@@ -241,6 +502,22 @@ export class GameState {
         return this.stats.totalDeaths;
     }
     
+    /**
+     * Count a death from a platform (its id, or null before the first landing)
+     * Consecutive deaths only keep counting while the player dies from the same platform
+     */
+    recordDeath(platformId = null) {
+        this.stats.levelDeaths++;
+        this.stats.totalDeaths++;
+        
+        if (this.stats.consecutiveDeaths > 0 && platformId === this.lastDeathPlatformId) {
+            this.stats.consecutiveDeaths++;
+        } else {
+            this.stats.consecutiveDeaths = 1;
+            this.lastDeathPlatformId = platformId;
+        }
+    }
+    
     /**
      * Get consecutive deaths
      */
@@ -262,6 +539,13 @@ export class GameState {
         return this.stats.levelDeaths === 0;
     }
     
+    /**
+     * Get simulation time in seconds
+     */
+    getSimulationTime() {
+        return this.simulationTime;
+    }
+    
     /**
      * Get all statistics
      */
@@ -269,6 +553,46 @@ export class GameState {
         return { ...this.stats };
     }
     
+    /**
+     * Get statistics together with the simulation clock
+     */
+    getSnapshot() {
+        return {
+            stats: this.getStats(),
+            simulationTime: this.simulationTime
+        };
+    }
+    
+    /**
+     * Restore statistics and simulation clock from a snapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.stats = { ...snapshot.stats };
+        this.simulationTime = snapshot.simulationTime;
+        this.levelClockRunning = false;
+        this.lastDeathPlatformId = null;
+    }
+    
+    /**
+     * Restore persistent progress (from a save)
+     */
+    loadProgress(progress) {
+        this.stats.score = progress.score;
+        this.stats.currentLevel = progress.currentLevel;
+        this.stats.totalDeaths = progress.totalDeaths;
+    }
+    
+    /**
+     * Get persistent progress (for a save)
+     */
+    getProgress() {
+        return {
+            score: this.stats.score,
+            currentLevel: this.stats.currentLevel,
+            totalDeaths: this.stats.totalDeaths
+        };
+    }
+    
     /**
      * Reset all game statistics
      */
@@ -280,7 +604,6 @@ export class GameState {
             levelDeaths: 0,
             pixelsCollected: 0,
             totalPixelsInLevel: 0,
-            levelStartTime: 0,
             consecutiveDeaths: 0
         };
     }
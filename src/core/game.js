@@ -8,12 +8,25 @@ import { AudioManager } from '../audio/audio-manager.js';
 import { PhysicsEngine } from '../physics/physics-engine.js';
 import { Renderer } from '../rendering/renderer.js';
 import { UIManager } from '../ui/ui-manager.js';
-import { LevelManager } from '../levels/level-manager.js';
+import { LevelManager, DEFAULT_SEED } from '../levels/level-manager.js';
 import { InputManager } from '../utils/input-manager.js';
 import { GameState } from '../core/game-state.js';
 import { Player } from '../core/player.js';
 import { Camera } from '../core/camera.js';
 import { CollectibleManager } from '../core/collectibles.js';
+import { collectibleRegistry } from '../core/collectible-registry.js';
+import { EventBus } from '../core/event-bus.js';
+import { Simulation, FixedTimestep } from '../core/simulation.js';
+import { ScoreSystem } from '../core/scoring.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay } from '../replay/replay.js';
+import { GhostRecorder, GhostRacer } from '../replay/ghost.js';
+import { SaveManager } from '../save/save-manager.js';
+import { LevelSelect, buildLevelEntries } from '../ui/level-select.js';
+import { LevelTransition } from '../ui/level-transition.js';
+import { buildLevelResult } from '../levels/level-results.js';
+import { RespawnAssist } from '../levels/respawn-assist.js';
+import { DIFFICULTY_IDS, resolveDifficulty, parseDifficultyProfile } from '../levels/difficulty.js';
+import { parseLevelFile, serializeLevel } from '../levels/level-format.js';
 
 /**
  * Main Game Class
@@ -21,19 +34,60 @@ import { CollectibleManager } from '../core/collectibles.js';
  */
 class Game {
     constructor() {
+        // Gameplay events shared by all systems
+        this.events = new EventBus();
+        
         // Initialize core systems
-        this.state = new GameState();
-        this.player = new Player();
-        this.camera = new Camera();
+        this.state = new GameState(this.events);
+        this.player = new Player(this.events);
+        this.camera = new Camera(this.events);
         
         // Initialize managers
         this.audioManager = new AudioManager();
         this.physicsEngine = new PhysicsEngine();
         this.renderer = new Renderer();
-        this.uiManager = new UIManager();
-        this.levelManager = new LevelManager();
+        this.levelSelect = new LevelSelect();
+        this.levelTransition = new LevelTransition();
+        this.uiManager = new UIManager({ levelSelect: this.levelSelect, levelTransition: this.levelTransition });
+        this.levelManager = new LevelManager(this.getSeedFromUrl());
         this.inputManager = new InputManager();
-        this.collectibleManager = new CollectibleManager();
+        this.collectibleManager = new CollectibleManager(collectibleRegistry, this.events);
+        this.saveManager = new SaveManager();
+        this.respawnAssist = new RespawnAssist();
+        this.scoring = new ScoreSystem();
+        
+        // Difficulty profile picked by the player (replays apply their own while playing back)
+        this.difficulty = resolveDifficulty(null);
+        
+        // Progress when the current level was entered; restarting the level restores its score
+        this.levelStartSnapshot = null;
+        
+        // Fixed-step simulation shared by all gameplay systems
+        this.simulation = new Simulation({
+            player: this.player,
+            collectibleManager: this.collectibleManager,
+            gameState: this.state,
+            levelManager: this.levelManager,
+            physicsEngine: this.physicsEngine,
+            camera: this.camera,
+            scoring: this.scoring
+        });
+        this.timestep = new FixedTimestep(this.simulation.stepSize);
+        
+        // Replays
+        this.recorder = new ReplayRecorder();
+        this.replayPlayer = null;
+        this.watchingReplay = false;
+        this.lastReplay = null;
+        this.lastReplayResult = null;
+        
+        // Seed, difficulty and progress of the live session while a replay applies its own
+        this.liveSession = null;
+        
+        // Ghost racing against the personal best of each level
+        this.ghostRecorder = new GhostRecorder();
+        this.ghost = null;
+        this.bestGhosts = {};
         
         // Game loop variables
         this.lastTime = 0;
@@ -53,17 +107,29 @@ class Game {
      */
     async init() {
         try {
+            // Restore saved progress
+            this.saveManager.load();
+            this.state.loadProgress(this.saveManager.getProgress());
+            this.difficulty = resolveDifficulty(this.saveManager.getSettings().difficulty);
+            
             // Initialize all systems
             await this.audioManager.init();
-            this.physicsEngine.init();
+            this.audioManager.attach(this.player, this.levelManager);
+            this.audioManager.subscribe(this.events);
+            this.audioManager.setVolumes(this.saveManager.getSettings());
+            this.physicsEngine.init(this.player, this.levelManager);
             this.renderer.init();
+            this.handleResize();
             this.uiManager.init();
-            this.levelManager.init();
+            this.uiManager.setDifficultyLabel(this.difficulty.name);
+            this.levelManager.init(this.player, this.collectibleManager, this.state);
             this.inputManager.init();
+            this.inputManager.setKeyBindings(this.saveManager.getSettings().keyBindings);
             this.collectibleManager.init();
             
             // Set up event listeners
             this.setupEventListeners();
+            this.setupStateHooks();
             
             // Start the game loop
             this.startGameLoop();
@@ -74,17 +140,30 @@ class Game {
         }
     }
     
+    /**
+     * Read run seed from the page URL (?seed=123), so shared levels can be reproduced
+     */
+    getSeedFromUrl() {
+        const seed = parseInt(new URLSearchParams(window.location.search).get('seed'), 10);
+        return Number.isNaN(seed) ? DEFAULT_SEED : seed;
+    }
+    
     /**
      * Set up event listeners
      */
     setupEventListeners() {
         // Window events
-        window.addEventListener('resize', () => this.renderer.resize());
+        window.addEventListener('resize', () => this.handleResize());
         
         // Input events
-        this.inputManager.on('jump', () => this.player.jump());
+        this.inputManager.on('jump', () => this.handleJumpInput());
+        this.inputManager.on('jumpRelease', () => this.handleJumpRelease());
         this.inputManager.on('pause', () => this.togglePause());
         this.inputManager.on('fullscreen', (enter) => this.toggleFullscreen(enter));
+        this.inputManager.on('bindingsChanged', (keyBindings) => this.saveManager.updateSettings({ keyBindings }));
+        
+        // Browser gestures and shortcuts only stay blocked while the game runs
+        this.events.on('stateChanged', () => this.inputManager.setSuppressDefaults(this.state.isSimulating()));
         
         // UI events
         this.uiManager.on('play', () => this.startGame());
@@ -92,7 +171,49 @@ class Game {
         this.uiManager.on('resume', () => this.resumeGame());
         this.uiManager.on('restart', () => this.restartLevel());
         this.uiManager.on('nextLevel', () => this.nextLevel());
+        this.uiManager.on('mainMenu', () => this.returnToMainMenu());
         this.uiManager.on('exit', () => this.exitGame());
+        this.uiManager.on('audioStart', () => this.audioManager.unlock());
+        this.uiManager.on('difficulty', () => this.cycleDifficulty());
+        
+        // Level select events
+        this.levelSelect.on('open', () => this.showLevelSelect());
+        this.levelSelect.on('select', (level) => this.startGame(level));
+        this.levelTransition.on('skip', () => this.skipTransition());
+        
+        // Camera shake on death and hard landings
+        this.events.on('death', () => this.camera.shake(0.6));
+        this.events.on('land', ({ impactSpeed }) => this.camera.shakeForLanding(impactSpeed));
+    }
+    
+    /**
+     * React to game state transitions
+     */
+    setupStateHooks() {
+        const states = this.state.states;
+        
+        this.state.onEnter(states.PLAYING, (context) => {
+            // Presses made while the player had no control must not leak into play
+            this.simulation.clearInputs();
+            if (context.reason === 'respawn') {
+                this.respawnPlayer();
+                this.uiManager.hideAllMenus();
+            }
+        });
+        
+        // Explosion particles keep flying while the player is dead
+        this.state.onUpdate(states.DEAD, (dt) => this.player.updateParticles(dt));
+        
+        // Portal entry: the player is pulled into the teleport while the screen fades out
+        this.state.onEnter(states.ENTERING_PORTAL, (context) => {
+            if (!context.resumed) this.player.enterPortal(this.levelManager.getTeleport());
+        });
+        this.state.onUpdate(states.ENTERING_PORTAL, (dt) => {
+            const progress = this.state.getStateTime() / this.state.timings.enteringPortal;
+            this.player.updatePortalEntry(dt, Math.min(1, progress));
+        });
+        
+        this.state.onEnter(states.LEVEL_COMPLETE, () => this.completeLevel());
     }
     
     /**
@@ -104,6 +225,7 @@ class Game {
     
     /**
      * Main game loop
+     * Runs whole fixed simulation ticks, then renders interpolated between the last two
      */
     gameLoop(timestamp) {
         // Calculate delta time
@@ -111,65 +233,166 @@ class Game {
         this.deltaTime = (timestamp - this.lastTime) / 1000;
         this.lastTime = timestamp;
         
-        // Cap delta time to prevent large jumps
-        if (this.deltaTime > 0.1) this.deltaTime = 0.1;
+        if (this.state.isSimulating()) {
+            const steps = this.timestep.advance(this.deltaTime);
+            for (let i = 0; i < steps; i++) {
+                // Input flushed this tick can pause the game or leave the level: drop the remaining ticks
+                this.inputManager.flush();
+                if (!this.state.isSimulating()) {
+                    this.timestep.reset();
+                    break;
+                }
+                this.update(this.simulation.stepSize);
+            }
+        } else {
+            this.inputManager.flush();
+            this.timestep.reset();
+        }
         
-        // Update and render
-        this.update(this.deltaTime);
-        this.render();
+        this.audioManager.update(this.deltaTime);
+        this.render(this.timestep.getAlpha());
         
         // Continue the loop
         requestAnimationFrame(this.gameLoop);
     }
     
     /**
-     * Update game state
+     * Update game state by one simulation tick
+     * Outside of play (respawn delay, level start, teleport) only the state clock and the camera run,
+     * so a shake started by a death keeps decaying instead of freezing on one offset
      */
     update(dt) {
-        // Only update if game is active
-        if (!this.state.isActive()) return;
-        
-        // Update all systems
-        this.player.update(dt);
-        this.physicsEngine.update(dt);
-        this.camera.update(dt);
-        this.levelManager.update(dt);
-        this.collectibleManager.update(dt);
-        this.audioManager.update(dt);
+        if (!this.state.isActive()) {
+            this.camera.update(dt);
+            this.state.update(dt);
+            return;
+        }
         
-        // Check collectible collisions
-        this.collectibleManager.checkPlayerCollision(this.player);
+        this.simulation.step();
+        this.updateGhost();
         
         // Check for level completion
         if (this.levelManager.isLevelComplete()) {
-            this.completeLevel();
+            this.state.setGameState('enteringPortal');
+        } else if (this.player.isDead()) {
+            this.handlePlayerDeath();
         }
         
-        // Check for player death
-        if (this.player.isDead()) {
-            this.handlePlayerDeath();
+        // Stop replay playback once the recorded run is over
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.simulation.getTick())) {
+            this.finishReplayPlayback();
         }
     }
     
+    /**
+     * Resize the canvas to the page and fit the camera viewport to it
+     */
+    handleResize() {
+        const { width, height } = this.renderer.resize();
+        this.camera.init(width, height);
+    }
+    
     /**
      * Render the game
      */
-    render() {
-        this.renderer.render(this.camera, this.player, this.levelManager, this.collectibleManager);
+    render(alpha = 1) {
+        this.renderer.render(this.camera, this.player, this.levelManager, this.collectibleManager, {
+            alpha,
+            ghost: this.ghost
+        });
+        this.levelTransition.update(this.state);
+        this.uiManager.updateHUD(this.state, this.scoring);
+    }
+    
+    /**
+     * Jump presses drive the player in play and skip level transitions otherwise
+     */
+    handleJumpInput() {
+        if (this.state.isActive()) {
+            this.simulation.queueInput('jump');
+        } else {
+            this.skipTransition();
+        }
+    }
+    
+    /**
+     * Jump releases shorten the current jump
+     */
+    handleJumpRelease() {
+        if (this.state.isActive()) {
+            this.simulation.queueInput('jumpRelease');
+        }
     }
     
     /**
-     * Start a new game
+     * Skip the portal animation or the level start banner
+     * The skipping press is consumed here and never reaches the simulation
      */
-    startGame() {
-        this.state.setGameState('playing');
-        this.levelManager.loadLevel(1);
+    skipTransition() {
+        if (this.state.isInState(this.state.states.ENTERING_PORTAL)) {
+            this.state.setGameState('levelComplete');
+        } else if (this.state.isInState(this.state.states.LEVEL_READY)) {
+            this.state.setGameState('playing');
+        }
+    }
+    
+    /**
+     * Start a new game (from level 1 or a level picked in level select)
+     */
+    startGame(levelNumber = 1) {
+        this.startLevel(levelNumber);
+        this.audioManager.playMusic();
+    }
+    
+    /**
+     * Load a generated level and hand control to the player
+     * Every way of entering a generated level (play, level select, restart, next level) goes through here
+     */
+    startLevel(levelNumber) {
+        this.stopReplayPlayback();
+        this.applyDifficulty(this.difficulty);
+        this.levelManager.loadLevel(levelNumber);
+        this.beginLevel();
+    }
+    
+    /**
+     * Load a hand-authored level (data from parseLevelFile) and hand control to the player
+     */
+    startCustomLevel(level) {
+        this.stopReplayPlayback();
+        this.applyDifficulty(this.difficulty);
+        this.levelManager.loadCustomLevel(level);
+        this.beginLevel();
+    }
+    
+    /**
+     * Reset player, camera and simulation for the level that was just loaded and start recording it
+     */
+    beginLevel() {
         this.player.reset();
+        this.player.setSpeed(this.levelManager.getPlayerSpeed());
+        this.camera.setSeed(this.levelManager.getLevel().levelSeed);
         this.camera.reset();
-        this.audioManager.playMusic();
+        this.simulation.reset();
+        this.levelStartSnapshot = this.state.getSnapshot();
+        this.beginRecording();
+        this.state.setGameState('levelReady');
         this.uiManager.hideAllMenus();
     }
     
+    /**
+     * Show level select with unlock state, records and medals from the save
+     */
+    showLevelSelect() {
+        this.applyDifficulty(this.difficulty);
+        const entries = buildLevelEntries(
+            this.saveManager.getData(),
+            (level) => this.levelManager.getLevelInfo(level),
+            this.levelManager.getDifficulty().id
+        );
+        this.levelSelect.show(entries);
+    }
+    
     /**
      * Toggle pause state
      */
@@ -185,6 +408,7 @@ class Game {
      * Pause the game
      */
     pauseGame() {
+        if (!this.state.canTransition('paused')) return;
         this.state.setGameState('paused');
         this.audioManager.pauseMusic();
         this.uiManager.showPauseMenu();
@@ -194,55 +418,324 @@ class Game {
      * Resume the game
      */
     resumeGame() {
-        this.state.setGameState('playing');
+        if (!this.state.isPaused()) return;
+        this.state.resume();
         this.audioManager.resumeMusic();
         this.uiManager.hideAllMenus();
     }
     
     /**
      * Restart current level
+     * The score goes back to what it was when the level was entered, so restarting can't farm points
      */
     restartLevel() {
-        this.levelManager.restartLevel();
-        this.player.reset();
-        this.camera.reset();
-        this.uiManager.hideAllMenus();
+        this.stopReplayPlayback();
+        if (this.levelStartSnapshot) {
+            this.state.setScore(this.levelStartSnapshot.stats.score);
+        }
+        if (this.levelManager.isCustomLevel()) {
+            this.startCustomLevel(this.levelManager.getCustomLevel());
+        } else {
+            this.startLevel(this.levelManager.getCurrentLevel());
+        }
+        this.audioManager.resumeMusic();
     }
     
     /**
      * Go to next level
+     * A hand-authored level stands alone, so finishing it returns to the main menu
      */
     nextLevel() {
-        const nextLevel = this.levelManager.getCurrentLevel() + 1;
-        this.levelManager.loadLevel(nextLevel);
-        this.player.reset();
-        this.camera.reset();
-        this.uiManager.hideAllMenus();
+        if (this.levelManager.isCustomLevel()) {
+            this.returnToMainMenu();
+            return;
+        }
+        this.startLevel(this.levelManager.getCurrentLevel() + 1);
+        this.audioManager.resumeMusic();
     }
     
     /**
-     * Complete current level
+     * Complete current level (on entering the level complete state)
      */
     completeLevel() {
-        this.state.setGameState('levelComplete');
-        this.audioManager.playVictorySound();
-        this.uiManager.showLevelCompleteMenu();
+        if (this.recorder.isRecording()) {
+            this.lastReplay = this.recorder.finish(this.simulation.getTick(), this.state.getStats());
+        }
+        this.saveGhostIfBest();
+        
+        const result = buildLevelResult(this.state, this.levelManager.getParTime());
+        this.state.addScore(result.bonus.total);
+        this.saveLevelResult(result);
+        this.uiManager.showLevelCompleteMenu(result);
     }
     
     /**
      * Handle player death
+     * The dead state respawns the player after a delay in simulation time
      */
     handlePlayerDeath() {
+        this.state.recordDeath(this.player.getSafePlatformId());
         this.state.setGameState('dead');
-        this.audioManager.playDeathSound();
-        this.uiManager.showDeathMenu();
+        this.saveProgress();
+        this.uiManager.showDeathMenu(this.state);
+    }
+    
+    /**
+     * Respawn the player, rolling back or easing the gap after repeated deaths from one platform
+     */
+    respawnPlayer() {
+        const plan = this.respawnAssist.plan(
+            this.player.lastSafePlatform,
+            this.state.getConsecutiveDeaths(),
+            this.levelManager
+        );
         
-        // Respawn after delay
-        setTimeout(() => {
-            this.player.respawn();
-            this.state.setGameState('playing');
-            this.uiManager.hideAllMenus();
-        }, 1000);
+        // Levels with checkpoints only respawn on checkpoint platforms (or the spawn point)
+        plan.platform = this.levelManager.getCheckpointFor(plan.platform);
+        
+        // Platform geometry changed: rebuild the physics broadphase and platform chunks
+        if (plan.assistedPlatform) {
+            this.physicsEngine.invalidate();
+            this.renderer.invalidatePlatforms();
+        }
+        
+        this.player.respawn(plan.platform, plan.graceDuration);
+    }
+    
+    /**
+     * Start recording the level run that was just loaded
+     */
+    beginRecording() {
+        this.stopReplayPlayback();
+        this.watchingReplay = false;
+        this.recorder.begin({
+            seed: this.levelManager.getSeed(),
+            level: this.levelManager.getCurrentLevel(),
+            stepRate: this.simulation.stepRate,
+            difficulty: this.levelManager.getDifficulty(),
+            levelFile: this.levelManager.isCustomLevel() ? serializeLevel(this.levelManager.getCustomLevel()) : null,
+            start: this.state.getSnapshot()
+        });
+        this.simulation.setRecorder(this.recorder);
+        
+        // Race against the personal best if this level was completed before
+        const best = this.bestGhosts[this.getGhostKey()];
+        this.ghost = best ? new GhostRacer(best) : null;
+        this.ghostRecorder.begin(this.levelManager.getSeed(), this.levelManager.getCurrentLevel());
+    }
+    
+    /**
+     * Get key identifying the current level for personal bests
+     */
+    getGhostKey() {
+        const difficulty = this.levelManager.getDifficulty().id;
+        if (this.levelManager.isCustomLevel()) {
+            return `custom:${this.levelManager.getCustomLevel().name}:${difficulty}`;
+        }
+        return `${this.levelManager.getSeed()}:${difficulty}:${this.levelManager.getCurrentLevel()}`;
+    }
+    
+    /**
+     * Capture the live player for the ghost track and advance the ghost
+     */
+    updateGhost() {
+        const platformId = this.player.lastSafePlatform ? this.player.lastSafePlatform.id : null;
+        const levelTime = this.state.getLevelTime();
+        
+        this.ghostRecorder.capture(this.player.getRenderData(), platformId, levelTime);
+        if (this.ghost) {
+            this.ghost.update(this.simulation.getTick(), platformId, levelTime);
+        }
+    }
+    
+    /**
+     * Keep the finished run's ghost track if it beats the personal best
+     */
+    saveGhostIfBest() {
+        const track = this.ghostRecorder.finish(this.state.getLevelTime());
+        if (!track) return;
+        
+        const key = this.getGhostKey();
+        const best = this.bestGhosts[key];
+        if (!best || track.totalTime < best.totalTime) {
+            this.bestGhosts[key] = track;
+        }
+    }
+    
+    /**
+     * Get the current run as replay JSON (e.g. to attach to a bug report)
+     */
+    exportReplay() {
+        const replay = this.recorder.snapshot(this.simulation.getTick(), this.state.getStats());
+        return replay ? serializeReplay(replay) : null;
+    }
+    
+    /**
+     * Play back a replay (JSON text or object) through the regular update path
+     * The replay's seed, difficulty and progress only last until playback stops
+     */
+    playReplay(data) {
+        const replayPlayer = new ReplayPlayer(data);
+        const replay = replayPlayer.getReplay();
+        if (replay.stepRate !== this.simulation.stepRate) {
+            throw new Error(`Replay step rate ${replay.stepRate} does not match simulation (${this.simulation.stepRate})`);
+        }
+        
+        this.stopReplayPlayback();
+        this.liveSession = {
+            seed: this.levelManager.getSeed(),
+            difficulty: this.levelManager.getDifficulty(),
+            snapshot: this.state.getSnapshot()
+        };
+        
+        this.levelManager.setSeed(replay.seed);
+        this.applyDifficulty(parseDifficultyProfile(replay.difficulty));
+        if (replay.levelFile !== undefined) {
+            this.levelManager.loadCustomLevel(this.parseLevelFile(replay.levelFile));
+        } else {
+            this.levelManager.loadLevel(replay.level);
+        }
+        this.player.reset();
+        this.player.setSpeed(this.levelManager.getPlayerSpeed());
+        this.camera.setSeed(this.levelManager.getLevel().levelSeed);
+        this.camera.reset();
+        this.simulation.reset();
+        this.state.restoreSnapshot(replay.start);
+        
+        this.recorder.cancel();
+        this.ghostRecorder.cancel();
+        this.ghost = null;
+        this.simulation.setRecorder(null);
+        this.simulation.setInputSource(replayPlayer);
+        this.replayPlayer = replayPlayer;
+        this.watchingReplay = true;
+        
+        this.state.setGameState('levelReady');
+        this.audioManager.playMusic();
+        this.uiManager.hideAllMenus();
+    }
+    
+    /**
+     * Verify a finished replay against its checksum and hand control back to live input
+     */
+    finishReplayPlayback() {
+        this.lastReplayResult = this.replayPlayer.verify(this.state.getStats());
+        if (!this.lastReplayResult.ok) {
+            console.warn('Replay desync detected:', this.lastReplayResult);
+        }
+        this.stopReplayPlayback();
+        return this.lastReplayResult;
+    }
+    
+    /**
+     * Detach replay playback from the simulation and restore the live session's seed, difficulty and progress
+     */
+    stopReplayPlayback() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer = null;
+        this.simulation.setInputSource(null);
+        
+        const live = this.liveSession;
+        this.liveSession = null;
+        this.levelManager.setSeed(live.seed);
+        this.applyDifficulty(live.difficulty);
+        this.state.restoreSnapshot(live.snapshot);
+    }
+    
+    /**
+     * Get replay of the last completed level
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+    
+    /**
+     * Persist the result of the level that was just completed
+     */
+    saveLevelResult(result) {
+        // Watching a replay must not change the player's records, and hand-authored levels have none
+        if (this.watchingReplay || this.levelManager.isCustomLevel()) return;
+        
+        this.saveManager.recordLevelResult(result.level, this.levelManager.getDifficulty().id, result);
+        this.saveProgress();
+    }
+    
+    /**
+     * Persist score, current level and total deaths
+     */
+    saveProgress() {
+        // Hand-authored levels are outside the campaign
+        if (this.watchingReplay || this.levelManager.isCustomLevel()) return;
+        
+        this.saveManager.setProgress(this.state.getProgress());
+        this.saveManager.save();
+    }
+    
+    /**
+     * Parse a level file (JSON text) with the game's collectible types and player forms
+     * Throws LevelFormatError with the line and column of the problem if the file is invalid
+     */
+    parseLevelFile(text) {
+        return parseLevelFile(text, {
+            registry: collectibleRegistry,
+            forms: Object.keys(this.player.forms)
+        });
+    }
+    
+    /**
+     * Load a hand-authored level file (see level-format.js) and start playing it
+     */
+    loadLevelFile(text) {
+        const level = this.parseLevelFile(text);
+        this.startCustomLevel(level);
+        this.audioManager.playMusic();
+        return level;
+    }
+    
+    /**
+     * Export a level in the level file format for hand-tweaking (current level by default)
+     * Generated levels are regenerated, so gaps eased by respawn assist are not exported
+     */
+    exportLevel(levelNumber = null) {
+        if (levelNumber === null && this.levelManager.isCustomLevel()) {
+            return serializeLevel(this.levelManager.getCustomLevel());
+        }
+        return serializeLevel(this.levelManager.generate(levelNumber || this.levelManager.getCurrentLevel()));
+    }
+    
+    /**
+     * Pick a difficulty: a built-in id ('easy', 'normal', 'hard') or a custom profile
+     * Takes effect from the next level start and is stored with the save
+     */
+    setDifficulty(setting) {
+        this.difficulty = resolveDifficulty(setting);
+        const custom = !DIFFICULTY_IDS.includes(setting);
+        this.saveManager.updateSettings({ difficulty: custom ? this.difficulty : this.difficulty.id });
+        this.uiManager.setDifficultyLabel(this.difficulty.name);
+    }
+    
+    /**
+     * Load a custom difficulty profile from JSON text (see difficulty.js)
+     * Throws DifficultyError if the profile is invalid
+     */
+    loadDifficultyProfile(json) {
+        this.setDifficulty(parseDifficultyProfile(json));
+    }
+    
+    /**
+     * Switch to the next built-in difficulty (main menu button)
+     */
+    cycleDifficulty() {
+        const index = DIFFICULTY_IDS.indexOf(this.difficulty.id);
+        this.setDifficulty(DIFFICULTY_IDS[(index + 1) % DIFFICULTY_IDS.length]);
+    }
+    
+    /**
+     * Shape level generation and respawn assist with a difficulty profile
+     */
+    applyDifficulty(profile) {
+        this.levelManager.setDifficulty(profile);
+        this.respawnAssist.setDifficulty(profile.respawnAssist);
     }
     
     /**
@@ -256,11 +749,27 @@ class Game {
         }
     }
     
+    /**
+     * Leave the level for the main menu
+     */
+    returnToMainMenu() {
+        if (!this.state.canTransition('mainMenu')) return;
+        this.stopReplayPlayback();
+        this.recorder.cancel();
+        this.ghostRecorder.cancel();
+        this.state.setGameState('mainMenu');
+        this.saveProgress();
+        this.audioManager.stopAll();
+        this.uiManager.showMainMenu();
+    }
+    
     /**
      * Exit the game
      */
     exitGame() {
+        if (!this.state.canTransition('exiting')) return;
         this.state.setGameState('exiting');
+        this.saveProgress();
         this.audioManager.stopAll();
         this.uiManager.showExitScreen();
     }
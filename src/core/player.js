@@ -4,11 +4,21 @@
  * Supports multiple forms and visual appearances
  */
 
+import { SeededRandom } from '../utils/random.js';
+import { CONTACT_TYPES } from '../physics/physics-engine.js';
+import { EffectTimeline } from './effect-timeline.js';
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+
 export class Player {
-    constructor() {
+    constructor(events = new EventBus()) {
+        // Gameplay events (jump, land, form and power-up changes, death, respawn)
+        this.events = events;
+        
         // Physical properties
         this.x = 150;
         this.y = 100;
+        this.prevX = this.x;
+        this.prevY = this.y;
         this.width = 40;
         this.height = 40;
         this.dx = 300; // Horizontal speed
@@ -24,9 +34,13 @@ export class Player {
         this.onGround = false;
         this.wasOnGround = false;
         this.angle = 0;
+        this.prevAngle = 0;
         this.flashTime = 0;
-        this.isDead = false;
-        this.isRespawning = false;
+        this.dead = false;
+        this.respawning = false;
+        
+        // Seeded randomness keeps particle effects reproducible
+        this.random = new SeededRandom(1);
         
         // Visual effects
         this.particles = [];
@@ -35,11 +49,12 @@ export class Player {
         // Respawn properties
         this.respawnX = 150;
         this.respawnY = 100;
-        this.consecutiveDeaths = 0;
-        this.lastDeathPlatformId = -1;
         
         // Form and appearance system
         this.currentForm = 'square';
+        // jumpBuffer: seconds a press before landing is kept for a ground jump
+        // coyoteTime: seconds after leaving a platform in which a ground jump still works
+        // jumpCutMultiplier: upward speed kept when the jump button is released early
         this.forms = {
             square: {
                 name: 'Square',
@@ -49,7 +64,10 @@ export class Player {
                 jumpForce: -700,
                 maxSpeed: 300,
                 rotationSpeed: 6,
-                specialAbility: null
+                specialAbility: null,
+                jumpBuffer: 0.12,
+                coyoteTime: 0.1,
+                jumpCutMultiplier: 0.5
             },
             circle: {
                 name: 'Circle',
@@ -59,7 +77,10 @@ export class Player {
                 jumpForce: -600,
                 maxSpeed: 350,
                 rotationSpeed: 8,
-                specialAbility: 'bounce'
+                specialAbility: 'bounce',
+                jumpBuffer: 0.12,
+                coyoteTime: 0.08,
+                jumpCutMultiplier: 0.6
             },
             triangle: {
                 name: 'Triangle',
@@ -69,7 +90,10 @@ export class Player {
                 jumpForce: -800,
                 maxSpeed: 280,
                 rotationSpeed: 4,
-                specialAbility: 'glide'
+                specialAbility: 'glide',
+                jumpBuffer: 0.12,
+                coyoteTime: 0.12,
+                jumpCutMultiplier: 0.5
             },
             star: {
                 name: 'Star',
@@ -79,23 +103,56 @@ export class Player {
                 jumpForce: -750,
                 maxSpeed: 320,
                 rotationSpeed: 10,
-                specialAbility: 'doubleJump'
+                specialAbility: 'doubleJump',
+                jumpBuffer: 0.1,
+                coyoteTime: 0.1,
+                jumpCutMultiplier: 0.5
             }
         };
         
-        // Power-ups and effects
-        this.activeEffects = [];
+        // Power-ups and effects, timed on simulation ticks
+        this.effects = new EffectTimeline();
         this.powerUpTimer = 0;
-        this.originalForm = 'square';
+        
+        // Permanent form (changed by form collectibles) and base speed adjustment
+        this.baseForm = 'square';
+        
+        // Form imposed by the level (forced form zones), overriding every other form while set
+        this.forcedForm = null;
+        this.speedOffset = 0;
+        
+        // Health buffer: each point absorbs one death
+        this.health = 0;
+        this.maxHealth = 3;
+        
+        // Short invulnerability after a hit is absorbed (seconds)
+        this.graceTime = 0;
+        this.hitGraceDuration = 1;
+        
+        // Magnet pull settings
+        this.magnetRadius = 160;
+        this.magnetStrength = 600;
         
         // Animation properties
         this.animationFrame = 0;
         this.animationSpeed = 0.2;
         this.pulseEffect = 0;
+        
+        // Portal entry animation (teleport center the player is pulled into)
+        this.portalTarget = null;
+        this.scale = 1;
+        
+        // Jump assistance (seconds left in each window)
+        this.jumpBufferTime = 0;
+        this.coyoteTimeLeft = 0;
+        this.jumpHeld = false;
+        this.jumpRising = false;
+        this.airJumpPending = false;
     }
     
     /**
-     * Change player form
+     * Change player form permanently
+     * A temporary form from a power-up still takes precedence until it expires
      */
     changeForm(formName) {
         if (!this.forms[formName]) {
@@ -103,75 +160,106 @@ export class Player {
             return false;
         }
         
-        const newForm = this.forms[formName];
-        this.currentForm = formName;
+        this.baseForm = formName;
+        this.applyForm();
+        return true;
+    }
+    
+    /**
+     * Force a form while inside a level zone (null lifts it)
+     * Power-up and permanent form changes still apply once the zone is left
+     */
+    setForcedForm(formName) {
+        if (formName !== null && !this.forms[formName]) {
+            console.warn(`Form ${formName} not found`);
+            return;
+        }
+        if (formName === this.forcedForm) return;
         
-        // Update physical properties
-        this.width = newForm.width;
-        this.height = newForm.height;
-        this.jumpForce = newForm.jumpForce;
-        this.maxSpeed = newForm.maxSpeed;
-        this.rotationSpeed = newForm.rotationSpeed;
+        this.forcedForm = formName;
+        this.applyForm();
+    }
+    
+    /**
+     * Switch to the effective form (forced form, temporary power-up form or base form)
+     */
+    applyForm() {
+        const formName = this.forcedForm || this.effects.getLatestValue('form') || this.baseForm;
         
-        // Update current speed
-        this.dx = this.maxSpeed;
+        if (formName !== this.currentForm) {
+            const newForm = this.forms[formName];
+            const previousForm = this.currentForm;
+            this.currentForm = formName;
+            
+            // Update physical properties
+            this.width = newForm.width;
+            this.height = newForm.height;
+            
+            // Reset animation
+            this.animationFrame = 0;
+            this.pulseEffect = 0;
+            
+            this.events.emit(GAME_EVENTS.FORM_CHANGED, {
+                from: previousForm,
+                to: formName,
+                temporary: formName !== this.baseForm
+            });
+        }
         
-        // Reset animation
-        this.animationFrame = 0;
-        this.pulseEffect = 0;
+        this.recomputeStats();
+    }
+    
+    /**
+     * Recompute effective stats from the form base values plus active modifiers
+     */
+    recomputeStats() {
+        const form = this.forms[this.currentForm];
         
-        return true;
+        this.maxSpeed = (form.maxSpeed + this.speedOffset) * this.effects.getMultiplier('speedBoost');
+        this.jumpForce = form.jumpForce * this.effects.getMultiplier('jumpBoost');
+        this.rotationSpeed = form.rotationSpeed;
+        
+        // Update current speed
+        this.dx = this.maxSpeed;
     }
     
     /**
-     * Add temporary power-up effect
+     * Add power-up effect
      */
     addPowerUp(effect) {
-        this.activeEffects.push({
-            ...effect,
-            startTime: performance.now()
-        });
-        
-        // Apply immediate effects
-        if (effect.speedBoost) {
-            this.maxSpeed *= effect.speedBoost;
-            this.dx = this.maxSpeed;
+        // Instant effects are applied once and never tracked
+        if (effect.healthBoost) {
+            this.health = Math.min(this.health + effect.healthBoost, this.maxHealth);
         }
         
-        if (effect.jumpBoost) {
-            this.jumpForce *= effect.jumpBoost;
+        if (this.forms[effect.form] === undefined && effect.form !== undefined) {
+            console.warn(`Form ${effect.form} not found`);
+            return;
         }
         
-        if (effect.form) {
-            this.originalForm = this.currentForm;
-            this.changeForm(effect.form);
-        }
+        const started = this.effects.add(effect);
+        this.applyForm();
+        
+        started.forEach(entry => {
+            this.events.emit(GAME_EVENTS.POWER_UP_START, {
+                effect: entry.key,
+                value: entry.value,
+                duration: entry.duration
+            });
+        });
     }
     
     /**
-     * Remove expired power-ups
+     * Advance power-up timers and drop expired effects
      */
     updatePowerUps(dt) {
-        const currentTime = performance.now();
-        this.activeEffects = this.activeEffects.filter(effect => {
-            if (currentTime - effect.startTime > effect.duration) {
-                // Remove effect
-                if (effect.speedBoost) {
-                    this.maxSpeed /= effect.speedBoost;
-                    this.dx = this.maxSpeed;
-                }
-                
-                if (effect.jumpBoost) {
-                    this.jumpForce /= effect.jumpBoost;
-                }
-                
-                if (effect.form) {
-                    this.changeForm(this.originalForm);
-                }
-                
-                return false;
-            }
-            return true;
+        const expired = this.effects.update(dt);
+        if (expired.length > 0) {
+            this.applyForm();
+        }
+        
+        expired.forEach(entry => {
+            this.events.emit(GAME_EVENTS.POWER_UP_END, { effect: entry.key, value: entry.value });
         });
     }
     
@@ -179,7 +267,12 @@ export class Player {
      * Update player physics and state
      */
     update(dt) {
-        if (this.isDead || this.isRespawning) {
+        // Remember last state for render interpolation
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
+        
+        if (this.dead || this.respawning) {
             this.updateParticles(dt);
             return;
         }
@@ -187,6 +280,8 @@ export class Player {
         // Update power-ups
         this.updatePowerUps(dt);
         
+        this.updateJumpWindows(dt);
+        
         // Apply gravity
         this.dy += this.gravity * dt;
         
@@ -206,6 +301,10 @@ export class Player {
             this.flashTime -= dt * 60;
         }
         
+        if (this.graceTime > 0) {
+            this.graceTime = Math.max(0, this.graceTime - dt);
+        }
+        
         // Update animation
         this.animationFrame += dt * this.animationSpeed;
         if (this.pulseEffect > 0) {
@@ -221,73 +320,187 @@ export class Player {
     }
     
     /**
-     * Make the player jump
+     * Press jump
+     * Jumps from the ground (or within coyote time after leaving it); in the air the press
+     * is buffered and becomes a ground jump on landing within the form's jump buffer
      */
     jump() {
-        if (this.onGround && !this.isDead && !this.isRespawning) {
-            this.dy = this.jumpForce;
-            this.onGround = false;
+        if (this.dead || this.respawning) return false;
+        
+        this.jumpHeld = true;
+        
+        if (this.canGroundJump()) {
+            this.performJump();
             return true; // Jump successful
         }
         
-        // Check for double jump ability
-        if (this.forms[this.currentForm].specialAbility === 'doubleJump' && 
-            !this.onGround && this.dy > -200) {
-            this.dy = this.jumpForce * 0.8;
-            return true;
+        const form = this.forms[this.currentForm];
+        this.jumpBufferTime = form.jumpBuffer;
+        
+        // Double jump: fire right away while still rising (landing can't be close);
+        // while falling, wait for the buffer to run out so a landing can claim the press first
+        if (form.specialAbility === 'doubleJump' && this.dy > -200) {
+            if (this.dy < 0) {
+                this.performAirJump();
+                return true;
+            }
+            this.airJumpPending = true;
         }
         
-        return false; // Jump failed
+        return false; // Buffered
     }
     
     /**
-     * Handle collision with platform
+     * Release jump: cuts the upward speed of a jump that is still rising (variable jump height)
+     * A buffered press is kept; it becomes a short jump when it fires
      */
-    handlePlatformCollision(platform) {
-        // Check if landing on platform
-        if (this.dy >= 0 && this.y + this.height >= platform.y && 
-            this.y + this.height < platform.y + platform.height) {
-            
-            this.y = platform.y - this.height;
-            this.dy = 0;
-            this.onGround = true;
-            this.lastSafePlatform = platform;
-            
-            // Handle bounce ability
-            if (this.forms[this.currentForm].specialAbility === 'bounce') {
-                this.dy = this.jumpForce * 0.5;
-                this.onGround = false;
-            }
-            
-            return true;
+    releaseJump() {
+        this.jumpHeld = false;
+        if (this.jumpRising) this.cutJump();
+    }
+    
+    /**
+     * Reduce the upward speed of the current jump
+     */
+    cutJump() {
+        if (this.dy < 0) {
+            this.dy *= this.forms[this.currentForm].jumpCutMultiplier;
+        }
+        this.jumpRising = false;
+    }
+    
+    /**
+     * Check if a ground jump is possible (on the ground or within coyote time)
+     */
+    canGroundJump() {
+        return this.onGround || this.coyoteTimeLeft > 0;
+    }
+    
+    /**
+     * Jump from the ground
+     */
+    performJump() {
+        this.dy = this.jumpForce;
+        this.onGround = false;
+        this.coyoteTimeLeft = 0;
+        this.jumpBufferTime = 0;
+        this.airJumpPending = false;
+        this.jumpRising = true;
+        if (!this.jumpHeld) this.cutJump();
+        this.publishJump(false);
+    }
+    
+    /**
+     * Jump in mid-air (double jump ability)
+     */
+    performAirJump() {
+        this.dy = this.jumpForce * 0.8;
+        this.jumpBufferTime = 0;
+        this.airJumpPending = false;
+        this.jumpRising = true;
+        if (!this.jumpHeld) this.cutJump();
+        this.publishJump(true);
+    }
+    
+    /**
+     * Count down the jump buffer and coyote time
+     * A deferred double jump fires once its buffer runs out without a landing
+     */
+    updateJumpWindows(dt) {
+        if (this.onGround) {
+            this.coyoteTimeLeft = this.forms[this.currentForm].coyoteTime;
+        } else {
+            this.coyoteTimeLeft = Math.max(0, this.coyoteTimeLeft - dt);
         }
         
-        // Check if hitting platform from below
-        if (this.dy < 0 && this.y < platform.y + platform.height && 
-            this.y > platform.y) {
-            
-            this.y = platform.y + platform.height;
-            this.dy = 0;
-            return true;
+        if (this.jumpRising && this.dy >= 0) {
+            this.jumpRising = false;
         }
         
-        // Check if hitting platform from the side
-        if (this.x + this.width > platform.x && this.x < platform.x + platform.width) {
-            if (this.dx > 0 && this.x + this.width >= platform.x && 
-                this.y + this.height > platform.y && this.y < platform.y + platform.height) {
+        if (this.jumpBufferTime > 0) {
+            this.jumpBufferTime = Math.max(0, this.jumpBufferTime - dt);
+            if (this.jumpBufferTime === 0) {
+                const canAirJump = this.forms[this.currentForm].specialAbility === 'doubleJump';
+                if (this.airJumpPending && canAirJump) this.performAirJump();
+                this.airJumpPending = false;
+            }
+        }
+    }
+    
+    /**
+     * Clear jump buffer, coyote time and held state
+     */
+    resetJumpState() {
+        this.jumpBufferTime = 0;
+        this.coyoteTimeLeft = 0;
+        this.jumpHeld = false;
+        this.jumpRising = false;
+        this.airJumpPending = false;
+    }
+    
+    /**
+     * Announce a jump
+     */
+    publishJump(airJump) {
+        this.events.emit(GAME_EVENTS.JUMP, { x: this.x, y: this.y, form: this.currentForm, airJump });
+    }
+    
+    /**
+     * React to a platform contact reported by the physics engine
+     * The engine has already resolved the position; the player only updates its state
+     */
+    handlePlatformCollision(contact) {
+        const platform = contact.platform;
+        
+        switch (contact.type) {
+            case CONTACT_TYPES.LANDED: {
+                const impactSpeed = this.dy;
+                this.dy = 0;
+                this.onGround = true;
+                this.lastSafePlatform = platform;
+                
+                if (!this.wasOnGround) {
+                    this.events.emit(GAME_EVENTS.LAND, {
+                        x: this.x,
+                        y: this.y,
+                        form: this.currentForm,
+                        platformId: platform.id,
+                        impactSpeed
+                    });
+                }
                 
-                const ledgeHeight = (this.y + this.height) - platform.y;
-                if (ledgeHeight > 0 && ledgeHeight < this.height / 2 && this.dy >= 0) {
-                    this.y = platform.y - this.height;
-                    this.dy = -120; // Small bounce
-                    this.onGround = true;
-                    this.lastSafePlatform = platform;
+                // A buffered press turns into a ground jump on landing (takes precedence over bounce)
+                if (this.jumpBufferTime > 0) {
+                    this.performJump();
                     return true;
-                } else {
-                    this.die();
-                    return false;
                 }
+                
+                // Handle bounce ability
+                if (this.forms[this.currentForm].specialAbility === 'bounce') {
+                    this.dy = this.jumpForce * 0.5;
+                    this.onGround = false;
+                }
+                return true;
             }
+                
+            case CONTACT_TYPES.CEILING:
+                this.dy = 0;
+                return true;
+                
+            case CONTACT_TYPES.LEDGE_STEP_UP:
+                this.dy = -120; // Small bounce
+                this.onGround = true;
+                this.lastSafePlatform = platform;
+                return true;
+                
+            case CONTACT_TYPES.SIDE_DEATH:
+                // Invincibility or a health point lets the player vault onto the platform
+                if (this.isInvincible() || this.absorbHit()) {
+                    this.vaultOnto(platform);
+                    return true;
+                }
+                this.die();
+                return false;
         }
         
         return false;
@@ -305,7 +518,6 @@ export class Player {
         );
         
         if (dist < this.width / 2 + collectible.size) {
-            collectible.active = false;
             this.flashTime = 10;
             
             // Apply collectible effects
@@ -336,22 +548,88 @@ export class Player {
         return false;
     }
     
+    /**
+     * Start being pulled into the teleport
+     */
+    enterPortal(teleport) {
+        this.portalTarget = {
+            x: teleport.x + teleport.width / 2,
+            y: teleport.y + teleport.height / 2
+        };
+        this.dx = 0;
+        this.dy = 0;
+    }
+    
+    /**
+     * Advance the portal entry animation (progress from 0 to 1)
+     * The player spirals into the teleport center and shrinks away
+     */
+    updatePortalEntry(dt, progress) {
+        if (!this.portalTarget) return;
+        
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
+        
+        // Pull harder the deeper into the portal
+        const pull = Math.min(1, dt * (2 + progress * 10));
+        this.x += (this.portalTarget.x - this.width / 2 - this.x) * pull;
+        this.y += (this.portalTarget.y - this.height / 2 - this.y) * pull;
+        this.angle += this.rotationSpeed * 3 * dt;
+        this.scale = Math.max(0, 1 - progress);
+        
+        this.updateParticles(dt);
+    }
+    
+    /**
+     * Place the player on top of a platform it ran into
+     */
+    vaultOnto(platform) {
+        this.y = platform.y - this.height;
+        this.dy = 0;
+        this.onGround = true;
+        this.lastSafePlatform = platform;
+    }
+    
+    /**
+     * Spend a health point instead of dying
+     * Returns false if there is no health left
+     */
+    absorbHit() {
+        if (this.health <= 0) return false;
+        
+        this.health--;
+        this.graceTime = this.hitGraceDuration;
+        this.flashTime = 10;
+        return true;
+    }
+    
     /**
      * Kill the player
      */
     die() {
-        if (this.isDead) return;
-        
-        this.isDead = true;
-        this.createExplosion();
+        if (this.dead) return;
         
-        // Update consecutive deaths
-        if (this.lastSafePlatform && this.lastSafePlatform.id === this.lastDeathPlatformId) {
-            this.consecutiveDeaths++;
-        } else {
-            this.consecutiveDeaths = 1;
-            this.lastDeathPlatformId = this.lastSafePlatform ? this.lastSafePlatform.id : -1;
+        // A health point absorbs the death: put the player back on safe ground
+        if (this.absorbHit()) {
+            this.moveToSafePosition();
+            return;
         }
+        
+        this.dead = true;
+        this.createExplosion();
+        this.events.emit(GAME_EVENTS.DEATH, {
+            x: this.x,
+            y: this.y,
+            platformId: this.getSafePlatformId()
+        });
+    }
+    
+    /**
+     * Get id of the last safe platform (null before the first landing)
+     */
+    getSafePlatformId() {
+        return this.lastSafePlatform ? this.lastSafePlatform.id : null;
     }
     
     /**
@@ -369,10 +647,10 @@ export class Player {
                     y: this.y + j * particleSize,
                     width: particleSize,
                     height: particleSize,
-                    dx: (i - 1) * 200 + (Math.random() - 0.5) * 150,
-                    dy: (j - 1) * 200 + (Math.random() - 0.5) * 150 - 250,
+                    dx: (i - 1) * 200 + (this.random.next() - 0.5) * 150,
+                    dy: (j - 1) * 200 + (this.random.next() - 0.5) * 150 - 250,
                     angle: 0,
-                    angleV: (Math.random() - 0.5) * 20,
+                    angleV: (this.random.next() - 0.5) * 20,
                     life: 1,
                     color: form.color
                 });
@@ -396,38 +674,42 @@ export class Player {
     }
     
     /**
-     * Respawn the player
+     * Respawn the player above a platform (the last safe one by default)
+     * Respawn assist may pick an earlier platform and grant grace invulnerability
      */
-    respawn() {
-        this.isDead = false;
-        this.isRespawning = false;
+    respawn(platform = this.lastSafePlatform, graceDuration = 0) {
+        this.dead = false;
+        this.respawning = false;
         this.particles = [];
         
-        // Determine respawn position
-        let respawnPlatform = this.lastSafePlatform;
-        
-        // If too many consecutive deaths, move back
-        if (this.consecutiveDeaths > 6) {
-            // This would need to be implemented with level manager
-            this.consecutiveDeaths = 0;
-        }
-        
-        if (!respawnPlatform) {
+        if (platform) this.lastSafePlatform = platform;
+        this.moveToSafePosition(platform);
+        this.flashTime = 0;
+        this.graceTime = Math.max(this.graceTime, graceDuration);
+        this.events.emit(GAME_EVENTS.RESPAWN, { x: this.x, y: this.y, platformId: this.getSafePlatformId() });
+    }
+    
+    /**
+     * Move the player above a platform (the last safe one by default) and reset motion
+     */
+    moveToSafePosition(platform = this.lastSafePlatform) {
+        if (!platform) {
             // Default spawn position
             this.x = this.respawnX;
             this.y = this.respawnY;
         } else {
-            this.x = respawnPlatform.x + 20;
-            this.y = respawnPlatform.y - this.height - 20;
+            this.x = platform.x + 20;
+            this.y = platform.y - this.height - 20;
         }
         
         // Reset physics
         this.dx = this.maxSpeed;
         this.dy = 0;
         this.angle = 0;
+        this.snapInterpolation();
         this.onGround = false;
         this.wasOnGround = false;
-        this.flashTime = 0;
+        this.resetJumpState();
     }
     
     /**
@@ -442,17 +724,32 @@ export class Player {
         this.onGround = false;
         this.wasOnGround = false;
         this.flashTime = 0;
-        this.isDead = false;
-        this.isRespawning = false;
+        this.dead = false;
+        this.respawning = false;
         this.particles = [];
         this.lastSafePlatform = null;
-        this.consecutiveDeaths = 0;
-        this.lastDeathPlatformId = -1;
+        this.random.reset();
+        this.portalTarget = null;
+        this.scale = 1;
+        this.snapInterpolation();
         
         // Reset to default form
+        this.effects.clear();
+        this.forcedForm = null;
+        this.speedOffset = 0;
         this.changeForm('square');
-        this.activeEffects = [];
-        this.originalForm = 'square';
+        this.health = 0;
+        this.graceTime = 0;
+        this.resetJumpState();
+    }
+    
+    /**
+     * Make the previous state equal the current one (after teleporting the player)
+     */
+    snapInterpolation() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
     }
     
     /**
@@ -510,37 +807,66 @@ export class Player {
      * Check if player is dead
      */
     isDead() {
-        return this.isDead;
+        return this.dead;
     }
     
     /**
      * Check if player is respawning
      */
     isRespawning() {
-        return this.isRespawning;
+        return this.respawning;
     }
     
     /**
      * Get player data for rendering
+     * Alpha interpolates between the previous and current simulation tick
      */
-    getRenderData() {
+    getRenderData(alpha = 1) {
         const form = this.forms[this.currentForm];
         return {
-            x: this.x,
-            y: this.y,
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha,
             width: this.width,
             height: this.height,
-            angle: this.angle,
+            angle: this.prevAngle + (this.angle - this.prevAngle) * alpha,
             flashTime: this.flashTime,
             particles: this.particles,
             form: this.currentForm,
             color: form.color,
             animationFrame: this.animationFrame,
             pulseEffect: this.pulseEffect,
-            activeEffects: this.activeEffects
+            activeEffects: this.effects.getEntries(),
+            invincible: this.isInvincible(),
+            grace: this.graceTime > 0,
+            magnetRadius: this.hasMagnet() ? this.magnetRadius : 0,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            scale: this.scale,
+            dead: this.dead
         };
     }
     
+    /**
+     * Check if side collisions are currently harmless
+     */
+    isInvincible() {
+        return this.graceTime > 0 || this.effects.has('invincible');
+    }
+    
+    /**
+     * Check if a magnet effect is active
+     */
+    hasMagnet() {
+        return this.effects.has('magnet');
+    }
+    
+    /**
+     * Get remaining health points
+     */
+    getHealth() {
+        return this.health;
+    }
+    
     /**
      * Get current form info
      */
@@ -569,16 +895,16 @@ export class Player {
      * Increase player speed
      */
     increaseSpeed(amount) {
-        this.maxSpeed += amount;
-        this.dx = this.maxSpeed;
+        this.speedOffset += amount;
+        this.recomputeStats();
     }
     
     /**
      * Set player speed
      */
     setSpeed(speed) {
-        this.maxSpeed = speed;
-        this.dx = speed;
+        this.speedOffset = speed - this.forms[this.currentForm].maxSpeed;
+        this.recomputeStats();
     }
     
     /**
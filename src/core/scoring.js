@@ -0,0 +1,100 @@
+/**
+ * Scoring Module
+ * Points for collected items, with a combo multiplier for items collected in quick succession in the air
+ * Runs inside simulation ticks, so scores replay exactly (level complete bonus: see level-results.js)
+ */
+
+// Combo: items collected in the air within this many seconds of each other chain up
+const COMBO_WINDOW = 1.5;
+
+// Multiplier added per chained item, and its cap
+const COMBO_STEP = 0.5;
+const MAX_MULTIPLIER = 4;
+
+export class ScoreSystem {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear the combo and best combo (level start)
+     */
+    reset() {
+        this.combo = 0;
+        this.comboTime = 0;
+        this.bestCombo = 0;
+    }
+
+    /**
+     * Score a collected item
+     * Items picked up in the air shortly after the previous one extend the combo
+     * Returns { points, combo, multiplier }
+     */
+    collect(value, onGround) {
+        if (onGround || this.comboTime <= 0) {
+            this.combo = 1;
+        } else {
+            this.combo++;
+        }
+        this.comboTime = onGround ? 0 : COMBO_WINDOW;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+
+        const multiplier = this.getMultiplier();
+        return {
+            points: Math.round(value * multiplier),
+            combo: this.combo,
+            multiplier
+        };
+    }
+
+    /**
+     * Advance the combo timer; touching the ground or dying ends the combo
+     */
+    update(dt, player) {
+        if (player.dead || player.onGround) {
+            this.endCombo();
+            return;
+        }
+        if (this.comboTime > 0) {
+            this.comboTime = Math.max(0, this.comboTime - dt);
+            if (this.comboTime === 0) this.endCombo();
+        }
+    }
+
+    /**
+     * End the current combo
+     */
+    endCombo() {
+        this.combo = 0;
+        this.comboTime = 0;
+    }
+
+    /**
+     * Get current combo length (0 without a combo)
+     */
+    getCombo() {
+        return this.combo;
+    }
+
+    /**
+     * Get current score multiplier
+     */
+    getMultiplier() {
+        if (this.combo <= 1) return 1;
+        return Math.min(MAX_MULTIPLIER, 1 + (this.combo - 1) * COMBO_STEP);
+    }
+
+    /**
+     * Get remaining combo time as 0-1 (for HUD timers)
+     */
+    getComboProgress() {
+        return this.comboTime / COMBO_WINDOW;
+    }
+
+    /**
+     * Get longest combo since the last reset
+     */
+    getBestCombo() {
+        return this.bestCombo;
+    }
+}
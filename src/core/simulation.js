@@ -0,0 +1,199 @@
+/**
+ * Simulation Module
+ * Fixed-step, DOM-free game simulation that can run in the browser or headless in Node
+ */
+
+import { ScoreSystem } from './scoring.js';
+
+export const DEFAULT_STEP_RATE = 120;
+
+/**
+ * Simulation
+ * Advances all gameplay systems by exactly one fixed tick at a time
+ */
+export class Simulation {
+    constructor(systems, options = {}) {
+        // Required systems
+        this.player = systems.player;
+        this.collectibleManager = systems.collectibleManager;
+        this.gameState = systems.gameState;
+
+        // Optional systems (may be omitted when running headless)
+        this.levelManager = systems.levelManager || null;
+        this.physicsEngine = systems.physicsEngine || null;
+        this.camera = systems.camera || null;
+        this.scoring = systems.scoring || new ScoreSystem();
+
+        // Timing
+        this.stepRate = options.stepRate || DEFAULT_STEP_RATE;
+        this.stepSize = 1 / this.stepRate;
+        this.tick = 0;
+
+        // Input handling: live inputs are queued and applied at the start of the next tick
+        this.pendingInputs = [];
+        this.inputSource = null;
+        this.recorder = null;
+        this.lastForm = this.player.currentForm;
+    }
+
+    /**
+     * Queue a live input action ('jump' or 'jumpRelease') for the next tick
+     * Ignored while an input source (replay) drives the simulation
+     */
+    queueInput(action) {
+        if (this.inputSource) return;
+        this.pendingInputs.push(action);
+    }
+
+    /**
+     * Drop queued live inputs (e.g. presses made while the player could not act)
+     */
+    clearInputs() {
+        this.pendingInputs = [];
+    }
+
+    /**
+     * Drive inputs from a source with getInputs(tick) instead of the live queue
+     */
+    setInputSource(source) {
+        this.inputSource = source;
+        this.pendingInputs = [];
+    }
+
+    /**
+     * Attach a recorder that receives every applied input and form change
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+        this.lastForm = this.player.currentForm;
+    }
+
+    /**
+     * Apply a single input action to the player
+     */
+    applyInput(action) {
+        if (action === 'jump') {
+            this.player.jump();
+        } else if (action === 'jumpRelease') {
+            this.player.releaseJump();
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    step() {
+        const dt = this.stepSize;
+
+        const inputs = this.inputSource ? this.inputSource.getInputs(this.tick) : this.pendingInputs;
+        this.pendingInputs = [];
+        inputs.forEach(action => {
+            this.applyInput(action);
+            if (this.recorder) this.recorder.recordInput(this.tick, action);
+        });
+
+        this.player.update(dt);
+        if (this.physicsEngine) this.physicsEngine.update(dt);
+        if (this.levelManager) this.levelManager.update(dt);
+
+        this.collectibleManager.update(dt);
+        this.collectibleManager.applyMagnet(this.player, dt);
+        const collected = this.collectibleManager.checkPlayerCollision(this.player, collectible => {
+            const award = this.scoring.collect(collectible.value, this.player.onGround);
+            this.gameState.addScore(award.points);
+            return award;
+        });
+        collected.forEach(collectible => {
+            if (collectible.type === 'pixel') this.gameState.addCollectedPixel();
+        });
+        this.scoring.update(dt, this.player);
+
+        if (this.camera) {
+            this.camera.follow(this.player);
+            this.camera.update(dt);
+        }
+
+        this.gameState.update(dt);
+
+        if (this.player.currentForm !== this.lastForm) {
+            this.lastForm = this.player.currentForm;
+            if (this.recorder) this.recorder.recordFormChange(this.tick, this.lastForm);
+            if (this.inputSource && this.inputSource.verifyFormChange) {
+                this.inputSource.verifyFormChange(this.tick, this.lastForm);
+            }
+        }
+
+        this.tick++;
+    }
+
+    /**
+     * Advance the simulation by a number of ticks
+     */
+    run(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Get number of ticks simulated since the last reset
+     */
+    getTick() {
+        return this.tick;
+    }
+
+    /**
+     * Get simulated time in seconds since the last reset
+     */
+    getTime() {
+        return this.tick * this.stepSize;
+    }
+
+    /**
+     * Restart tick counting (on level load)
+     */
+    reset() {
+        this.tick = 0;
+        this.pendingInputs = [];
+        this.lastForm = this.player.currentForm;
+        this.scoring.reset();
+    }
+}
+
+/**
+ * Fixed Timestep
+ * Accumulates real frame time and converts it into whole simulation ticks
+ */
+export class FixedTimestep {
+    constructor(stepSize, maxFrameTime = 0.25) {
+        this.stepSize = stepSize;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Add elapsed frame time and get how many ticks are due
+     */
+    advance(frameTime) {
+        // Cap frame time so a stalled tab doesn't trigger a burst of ticks
+        this.accumulator += Math.min(frameTime, this.maxFrameTime);
+
+        const steps = Math.floor(this.accumulator / this.stepSize);
+        this.accumulator -= steps * this.stepSize;
+        return steps;
+    }
+
+    /**
+     * Get interpolation factor between the previous and current tick
+     */
+    getAlpha() {
+        return this.accumulator / this.stepSize;
+    }
+
+    /**
+     * Drop accumulated time (when the simulation is not running)
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * Difficulty Module
+ * Difficulty profiles map a level number to level generation parameters and the player's base speed
+ * Profiles are plain data, so designers can tune them as JSON without touching generator code
+ */
+
+import { RESPAWN_ASSIST_SETTINGS } from './respawn-assist.js';
+
+/**
+ * Error thrown for invalid difficulty profiles
+ */
+export class DifficultyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DifficultyError';
+    }
+}
+
+/**
+ * Parameters every profile defines, as curves over the level number
+ * platformCount: platforms per level (including the end platform)
+ * gapMin, gapMax: horizontal gap between platforms (pixels)
+ * heightVariance: maximum height change from one platform to the next (pixels)
+ * lengthMin, lengthMax: platform length (pixels)
+ * pixelRowMax: most pixels in the row above a platform
+ * pixelArcChance: chance of a pixel arc over a gap
+ * specialChance: chance of a scoring special collectible (gems, stars, ...) above a platform
+ * powerUpChance: chance of a power-up (any collectible with effects) above a platform, rolled before specialChance
+ * playerSpeed: base running speed of the starting form (pixels per second)
+ */
+export const DIFFICULTY_PARAMETERS = [
+    'platformCount',
+    'gapMin',
+    'gapMax',
+    'heightVariance',
+    'lengthMin',
+    'lengthMax',
+    'pixelRowMax',
+    'pixelArcChance',
+    'specialChance',
+    'powerUpChance',
+    'playerSpeed'
+];
+
+// Parameters that must be whole numbers
+const INTEGER_PARAMETERS = ['platformCount', 'pixelRowMax'];
+
+/**
+ * Range every parameter must stay in at every level
+ * exclusiveMin: the value must be greater than min (lengths and speed can't be 0)
+ */
+const PARAMETER_RANGES = {
+    platformCount: { min: 2 },
+    gapMin: { min: 0 },
+    gapMax: { min: 0 },
+    heightVariance: { min: 0 },
+    lengthMin: { min: 0, exclusiveMin: true },
+    lengthMax: { min: 0, exclusiveMin: true },
+    pixelRowMax: { min: 0 },
+    pixelArcChance: { min: 0, max: 1 },
+    specialChance: { min: 0, max: 1 },
+    powerUpChance: { min: 0, max: 1 },
+    playerSpeed: { min: 0, exclusiveMin: true }
+};
+
+// Parameter pairs where the first must never exceed the second
+const ORDERED_PAIRS = [
+    ['gapMin', 'gapMax'],
+    ['lengthMin', 'lengthMax']
+];
+
+// Levels checked at most when comparing ordered pairs (curves settle on their clamps long before)
+const MAX_CHECKED_LEVEL = 10000;
+
+/**
+ * Built-in profiles
+ * A curve is a number (same for every level) or { start, perLevel, min, max }:
+ * the value at level 1 is start, and changes by perLevel each level, clamped to min and max
+ * respawnAssist names the respawn assist settings to use (see respawn-assist.js)
+ */
+export const DIFFICULTY_PROFILES = {
+    easy: {
+        id: 'easy',
+        name: 'Easy',
+        respawnAssist: 'easy',
+        curves: {
+            platformCount: { start: 15, perLevel: 2, max: 45 },
+            gapMin: { start: 50, perLevel: 3, max: 90 },
+            gapMax: { start: 120, perLevel: 4, max: 170 },
+            heightVariance: { start: 50, perLevel: 2, max: 75 },
+            lengthMin: { start: 200, perLevel: -4, min: 140 },
+            lengthMax: { start: 420, perLevel: -8, min: 280 },
+            pixelRowMax: 5,
+            pixelArcChance: 0.4,
+            specialChance: { start: 0.15, perLevel: 0.01, max: 0.3 },
+            powerUpChance: { start: 0.1, perLevel: 0.005, max: 0.2 },
+            playerSpeed: { start: 270, perLevel: 3, max: 320 }
+        }
+    },
+    normal: {
+        id: 'normal',
+        name: 'Normal',
+        respawnAssist: 'normal',
+        curves: {
+            platformCount: { start: 18, perLevel: 3, max: 60 },
+            gapMin: { start: 64, perLevel: 4, max: 110 },
+            gapMax: { start: 146, perLevel: 6, max: 200 },
+            heightVariance: { start: 63, perLevel: 3, max: 90 },
+            lengthMin: { start: 156, perLevel: -4, min: 100 },
+            lengthMax: { start: 390, perLevel: -10, min: 220 },
+            pixelRowMax: 5,
+            pixelArcChance: 0.3,
+            specialChance: { start: 0.11, perLevel: 0.01, max: 0.25 },
+            powerUpChance: { start: 0.07, perLevel: 0.003, max: 0.12 },
+            playerSpeed: { start: 300, perLevel: 4, max: 360 }
+        }
+    },
+    hard: {
+        id: 'hard',
+        name: 'Hard',
+        respawnAssist: 'hard',
+        curves: {
+            platformCount: { start: 22, perLevel: 4, max: 70 },
+            gapMin: { start: 80, perLevel: 5, max: 125 },
+            gapMax: { start: 170, perLevel: 6, max: 220 },
+            heightVariance: { start: 75, perLevel: 4, max: 110 },
+            lengthMin: { start: 130, perLevel: -4, min: 80 },
+            lengthMax: { start: 340, perLevel: -10, min: 180 },
+            pixelRowMax: 4,
+            pixelArcChance: 0.25,
+            specialChance: { start: 0.08, perLevel: 0.005, max: 0.15 },
+            powerUpChance: { start: 0.04, perLevel: -0.002, min: 0.02 },
+            playerSpeed: { start: 330, perLevel: 5, max: 420 }
+        }
+    }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Built-in profile ids in menu order
+export const DIFFICULTY_IDS = Object.keys(DIFFICULTY_PROFILES);
+
+/**
+ * Get a built-in profile by id (null if unknown)
+ * Only own keys count, so ids like "constructor" or "toString" are unknown rather than inherited
+ */
+export function getDifficultyProfile(id) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, id) ? DIFFICULTY_PROFILES[id] : null;
+}
+
+/**
+ * Evaluate a curve for a level number
+ */
+export function evaluateCurve(curve, levelNumber) {
+    if (typeof curve === 'number') return curve;
+
+    const level = Math.max(1, levelNumber);
+    const value = curve.start + (curve.perLevel || 0) * (level - 1);
+    const min = curve.min === undefined ? -Infinity : curve.min;
+    const max = curve.max === undefined ? Infinity : curve.max;
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Get all parameters of a profile for a level number
+ */
+export function getDifficultyParameters(profile, levelNumber) {
+    const parameters = {};
+    DIFFICULTY_PARAMETERS.forEach(name => {
+        const value = evaluateCurve(profile.curves[name], levelNumber);
+        parameters[name] = INTEGER_PARAMETERS.includes(name) ? Math.round(value) : value;
+    });
+    return parameters;
+}
+
+/**
+ * Parse a profile from JSON text (or an already parsed object) and validate it
+ * Missing curves are taken from the built-in profile named by "base" (normal by default)
+ * Throws DifficultyError if the profile is invalid
+ */
+export function parseDifficultyProfile(data) {
+    let profile = data;
+    if (typeof data === 'string') {
+        try {
+            profile = JSON.parse(data);
+        } catch (error) {
+            throw new DifficultyError(`Difficulty profile is not valid JSON: ${error.message}`);
+        }
+    }
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new DifficultyError('Difficulty profile must be an object');
+    }
+    if (typeof profile.id !== 'string' || profile.id === '') {
+        throw new DifficultyError('Difficulty profile must have a string "id"');
+    }
+
+    const base = getDifficultyProfile(profile.base || DEFAULT_DIFFICULTY);
+    if (!base) {
+        throw new DifficultyError(`Unknown base difficulty: ${profile.base}`);
+    }
+
+    const curves = profile.curves || {};
+    Object.keys(curves).forEach(name => {
+        if (!DIFFICULTY_PARAMETERS.includes(name)) {
+            throw new DifficultyError(`Unknown difficulty parameter: ${name}`);
+        }
+        validateCurve(name, curves[name]);
+    });
+
+    const respawnAssist = profile.respawnAssist || base.respawnAssist;
+    if (!Object.prototype.hasOwnProperty.call(RESPAWN_ASSIST_SETTINGS, respawnAssist)) {
+        const known = Object.keys(RESPAWN_ASSIST_SETTINGS).join(', ');
+        throw new DifficultyError(`Difficulty profile "respawnAssist" must be one of: ${known}`);
+    }
+
+    const merged = { ...base.curves, ...curves };
+    DIFFICULTY_PARAMETERS.forEach(name => validateCurveRange(name, merged[name]));
+    ORDERED_PAIRS.forEach(([low, high]) => validateCurveOrder(low, merged[low], high, merged[high]));
+
+    return {
+        id: profile.id,
+        name: typeof profile.name === 'string' ? profile.name : profile.id,
+        respawnAssist,
+        curves: merged
+    };
+}
+
+/**
+ * Check that a curve is a finite number or a { start, perLevel, min, max } object
+ */
+function validateCurve(name, curve) {
+    if (typeof curve === 'number') {
+        if (!Number.isFinite(curve)) {
+            throw new DifficultyError(`Difficulty curve "${name}" must be finite`);
+        }
+        return;
+    }
+    if (!curve || typeof curve !== 'object' || !Number.isFinite(curve.start)) {
+        throw new DifficultyError(`Difficulty curve "${name}" must be a number or have a numeric "start"`);
+    }
+    ['perLevel', 'min', 'max'].forEach(field => {
+        if (curve[field] !== undefined && !Number.isFinite(curve[field])) {
+            throw new DifficultyError(`Difficulty curve "${name}" field "${field}" must be a number`);
+        }
+    });
+    if (curve.min !== undefined && curve.max !== undefined && curve.min > curve.max) {
+        throw new DifficultyError(`Difficulty curve "${name}" has min greater than max`);
+    }
+}
+
+/**
+ * Get the level from which a curve no longer changes (Infinity if it never settles)
+ */
+function getSettleLevel(curve) {
+    if (typeof curve === 'number' || !curve.perLevel) return 1;
+
+    const limit = curve.perLevel > 0 ? curve.max : curve.min;
+    if (limit === undefined) return Infinity;
+    return 1 + Math.max(0, Math.ceil((limit - curve.start) / curve.perLevel));
+}
+
+/**
+ * Check that a curve stays in its parameter's range at every level
+ */
+function validateCurveRange(name, curve) {
+    const range = PARAMETER_RANGES[name];
+    const rising = typeof curve !== 'number' && curve.perLevel > 0;
+    const falling = typeof curve !== 'number' && curve.perLevel < 0;
+    const settled = evaluateCurve(curve, getSettleLevel(curve));
+
+    // Curves are monotonic, so the extremes are at level 1 and where (or whether) they settle
+    const lowest = falling && getSettleLevel(curve) === Infinity ? -Infinity : Math.min(evaluateCurve(curve, 1), settled);
+    const highest = rising && getSettleLevel(curve) === Infinity ? Infinity : Math.max(evaluateCurve(curve, 1), settled);
+
+    const tooLow = range.exclusiveMin ? lowest <= range.min : lowest < range.min;
+    const tooHigh = range.max !== undefined && highest > range.max;
+    if (tooLow || tooHigh) {
+        const bounds = range.max !== undefined
+            ? `between ${range.min} and ${range.max}`
+            : `${range.exclusiveMin ? 'greater than' : 'at least'} ${range.min}`;
+        throw new DifficultyError(`Difficulty curve "${name}" must stay ${bounds} at every level (add a min or max clamp)`);
+    }
+}
+
+/**
+ * Check that one curve never exceeds another at any level (e.g. gapMin and gapMax)
+ */
+function validateCurveOrder(lowName, low, highName, high) {
+    const settleLevel = Math.max(getSettleLevel(low), getSettleLevel(high));
+    const lastLevel = Math.min(settleLevel, MAX_CHECKED_LEVEL);
+    for (let level = 1; level <= lastLevel; level++) {
+        if (evaluateCurve(low, level) > evaluateCurve(high, level)) {
+            throw new DifficultyError(`Difficulty curve "${lowName}" exceeds "${highName}" at level ${level}`);
+        }
+    }
+
+    // Past the last checked level the curves are linear or flat: the lower one must not grow faster
+    if (settleLevel > lastLevel) {
+        const slope = (curve) => getSettleLevel(curve) > lastLevel ? curve.perLevel : 0;
+        if (slope(low) > slope(high)) {
+            throw new DifficultyError(`Difficulty curve "${lowName}" eventually exceeds "${highName}"`);
+        }
+    }
+}
+
+/**
+ * Resolve a saved difficulty setting: a built-in id, or a custom profile object
+ * Falls back to the default profile (with a warning) if it cannot be used
+ */
+export function resolveDifficulty(setting) {
+    if (setting && typeof setting === 'object') {
+        try {
+            return parseDifficultyProfile(setting);
+        } catch (error) {
+            console.warn('Ignoring invalid custom difficulty profile:', error.message);
+            return DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+        }
+    }
+
+    const profile = getDifficultyProfile(setting);
+    if (!profile) {
+        if (setting !== undefined && setting !== null) {
+            console.warn(`Unknown difficulty: ${setting}`);
+        }
+        return DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+    }
+    return profile;
+}
@@ -0,0 +1,352 @@
+/**
+ * Level Format Module
+ * JSON file format for hand-authored levels: loader with line-precise validation errors,
+ * and a serializer that exports generated levels into the same format for hand-tweaking
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "name": "Tutorial",
+ *   "number": 1,                       level number used for HUD, music and difficulty (optional)
+ *   "theme": "dusk",                   parallax theme: day, dusk or night (optional)
+ *   "musicSeed": 1234,                 seed of the generated music (optional)
+ *   "spawn": { "x": 150, "y": 260 },
+ *   "platforms": [ { "id": 0, "x": 0, "y": 400, "width": 600, "height": 40, "checkpoint": true } ],
+ *   "collectibles": [ { "type": "pixel", "x": 300, "y": 355 } ],
+ *   "teleport": { "x": 2000, "y": 300, "width": 60, "height": 100 },
+ *   "formZones": [ { "x": 900, "width": 400, "form": "circle" } ]
+ * }
+ *
+ * Platform ids identify safe platforms (Player.lastSafePlatform); checkpoint platforms, if any,
+ * are the only places the player respawns. Inside a form zone the player is forced into its form
+ */
+
+import { parseLocatedJSON, formatPath, JSONSyntaxError } from '../utils/located-json.js';
+import { collectibleRegistry } from '../core/collectible-registry.js';
+import { computeLevelBounds, getLevelSeed } from './level-generator.js';
+
+export const LEVEL_SCHEMA_VERSION = 1;
+
+// Parallax themes the renderer knows (see PARALLAX_THEMES in renderer.js)
+export const LEVEL_THEMES = ['day', 'dusk', 'night'];
+export const DEFAULT_THEME = 'day';
+
+// Teleport size when the file doesn't give one
+const DEFAULT_TELEPORT_WIDTH = 60;
+const DEFAULT_TELEPORT_HEIGHT = 100;
+
+const DEFAULT_LEVEL_NAME = 'Custom Level';
+
+/**
+ * Error thrown for invalid level files, with the 1-based line and column of the problem
+ * (line and column are null when the level was not read from text)
+ */
+export class LevelFormatError extends Error {
+    constructor(message, { line = null, column = null, path = '' } = {}) {
+        const where = line !== null ? ` (line ${line}, column ${column})` : '';
+        super(`${path ? `${path}: ` : ''}${message}${where}`);
+        this.name = 'LevelFormatError';
+        this.line = line;
+        this.column = column;
+        this.path = path;
+    }
+}
+
+/**
+ * Load a level file
+ * Text is JSON; an already parsed object is accepted too (errors then have no line numbers)
+ * Options: registry (collectible types), forms (form names allowed in form zones)
+ * Returns level data in the shape generated levels have, plus name, checkpoints, formZones, theme and musicSeed
+ * Throws LevelFormatError if the file is invalid
+ */
+export function parseLevelFile(data, options = {}) {
+    let value = data;
+    let locations = new Map();
+    if (typeof data === 'string') {
+        try {
+            ({ value, locations } = parseLocatedJSON(data));
+        } catch (error) {
+            if (error instanceof JSONSyntaxError) {
+                throw new LevelFormatError(`Invalid JSON: ${error.message.replace(/ \(line.*\)$/, '')}`, {
+                    line: error.line,
+                    column: error.column
+                });
+            }
+            throw error;
+        }
+    }
+
+    const reader = new LevelFileReader(locations, options);
+    return reader.read(value);
+}
+
+/**
+ * Validates a parsed level file, reporting errors at the line of the offending value
+ */
+class LevelFileReader {
+    constructor(locations, { registry = collectibleRegistry, forms = null } = {}) {
+        this.locations = locations;
+        this.registry = registry;
+        this.forms = forms;
+    }
+
+    /**
+     * Throw an error located at a path (or the closest enclosing value that has a location)
+     */
+    fail(path, message) {
+        const segments = [...path];
+        let location = this.locations.get(formatPath(segments));
+        while (!location && segments.length > 0) {
+            segments.pop();
+            location = this.locations.get(formatPath(segments));
+        }
+        throw new LevelFormatError(message, { ...location, path: formatPath(path) });
+    }
+
+    read(file) {
+        this.expectObject(file, [], [
+            'schemaVersion', 'name', 'number', 'theme', 'musicSeed',
+            'spawn', 'platforms', 'collectibles', 'teleport', 'formZones'
+        ]);
+
+        if (!('schemaVersion' in file)) {
+            this.fail([], 'Missing "schemaVersion"');
+        }
+        const version = file.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            this.fail(['schemaVersion'], 'Must be a positive integer');
+        }
+        if (version > LEVEL_SCHEMA_VERSION) {
+            this.fail(['schemaVersion'], `Schema version ${version} is newer than supported version ${LEVEL_SCHEMA_VERSION}`);
+        }
+
+        const name = this.optional(file, 'name', [], DEFAULT_LEVEL_NAME, (value, path) => this.expectString(value, path));
+        const number = this.optional(file, 'number', [], 1, (value, path) => this.expectInteger(value, path, 1));
+        const theme = this.optional(file, 'theme', [], DEFAULT_THEME, (value, path) => {
+            this.expectString(value, path);
+            if (!LEVEL_THEMES.includes(value)) {
+                this.fail(path, `Unknown theme "${value}" (themes: ${LEVEL_THEMES.join(', ')})`);
+            }
+        });
+        const musicSeed = this.optional(file, 'musicSeed', [], number, (value, path) => this.expectInteger(value, path, 0));
+
+        const spawn = this.readPoint(this.required(file, 'spawn', []), ['spawn']);
+        const platforms = this.readPlatforms(this.required(file, 'platforms', []));
+        const collectibles = this.readList(file, 'collectibles', (item, path) => this.readCollectible(item, path));
+        const teleport = this.readTeleport(this.required(file, 'teleport', []));
+        const formZones = this.readList(file, 'formZones', (zone, path) => this.readFormZone(zone, path));
+
+        return {
+            number,
+            name,
+            custom: true,
+            seed: musicSeed,
+            levelSeed: getLevelSeed(musicSeed, number),
+            musicSeed,
+            theme,
+            platforms,
+            collectibles,
+            teleport,
+            spawn,
+            checkpoints: platforms.filter(platform => platform.checkpoint).map(platform => platform.id),
+            formZones: formZones.sort((a, b) => a.x - b.x),
+            bounds: computeLevelBounds(platforms)
+        };
+    }
+
+    readPlatforms(list) {
+        this.expectArray(list, ['platforms']);
+        if (list.length === 0) {
+            this.fail(['platforms'], 'A level needs at least one platform');
+        }
+
+        const ids = new Set();
+        return list.map((platform, index) => {
+            const path = ['platforms', index];
+            this.expectObject(platform, path, ['id', 'x', 'y', 'width', 'height', 'checkpoint']);
+
+            const id = this.expectInteger(this.required(platform, 'id', path), [...path, 'id'], 0);
+            if (ids.has(id)) {
+                this.fail([...path, 'id'], `Duplicate platform id ${id}`);
+            }
+            ids.add(id);
+
+            const result = {
+                id,
+                x: this.expectNumber(this.required(platform, 'x', path), [...path, 'x']),
+                y: this.expectNumber(this.required(platform, 'y', path), [...path, 'y']),
+                width: this.expectPositive(this.required(platform, 'width', path), [...path, 'width']),
+                height: this.expectPositive(this.required(platform, 'height', path), [...path, 'height'])
+            };
+            if (this.optional(platform, 'checkpoint', path, false, (value, valuePath) => this.expectBoolean(value, valuePath))) {
+                result.checkpoint = true;
+            }
+            return result;
+        });
+    }
+
+    readCollectible(item, path) {
+        this.expectObject(item, path, ['type', 'x', 'y']);
+        const type = this.expectString(this.required(item, 'type', path), [...path, 'type']);
+        if (!this.registry.has(type)) {
+            this.fail([...path, 'type'], `Unknown collectible type "${type}" (types: ${this.registry.getTypeNames().join(', ')})`);
+        }
+        return { ...this.readPoint(item, path, ['type']), type };
+    }
+
+    readTeleport(teleport) {
+        const path = ['teleport'];
+        this.expectObject(teleport, path, ['x', 'y', 'width', 'height']);
+        return {
+            x: this.expectNumber(this.required(teleport, 'x', path), [...path, 'x']),
+            y: this.expectNumber(this.required(teleport, 'y', path), [...path, 'y']),
+            width: this.optional(teleport, 'width', path, DEFAULT_TELEPORT_WIDTH, (value, valuePath) => this.expectPositive(value, valuePath)),
+            height: this.optional(teleport, 'height', path, DEFAULT_TELEPORT_HEIGHT, (value, valuePath) => this.expectPositive(value, valuePath))
+        };
+    }
+
+    readFormZone(zone, path) {
+        this.expectObject(zone, path, ['x', 'width', 'form']);
+        const form = this.expectString(this.required(zone, 'form', path), [...path, 'form']);
+        if (this.forms && !this.forms.includes(form)) {
+            this.fail([...path, 'form'], `Unknown form "${form}" (forms: ${this.forms.join(', ')})`);
+        }
+        return {
+            x: this.expectNumber(this.required(zone, 'x', path), [...path, 'x']),
+            width: this.expectPositive(this.required(zone, 'width', path), [...path, 'width']),
+            form
+        };
+    }
+
+    /**
+     * Read an { x, y } object (extra lists other keys the object may have)
+     */
+    readPoint(point, path, extra = []) {
+        this.expectObject(point, path, ['x', 'y', ...extra]);
+        return {
+            x: this.expectNumber(this.required(point, 'x', path), [...path, 'x']),
+            y: this.expectNumber(this.required(point, 'y', path), [...path, 'y'])
+        };
+    }
+
+    /**
+     * Read an optional array of items (empty if missing)
+     */
+    readList(file, key, readItem) {
+        if (!(key in file)) return [];
+        this.expectArray(file[key], [key]);
+        return file[key].map((item, index) => readItem(item, [key, index]));
+    }
+
+    required(object, key, path) {
+        if (!(key in object)) {
+            this.fail(path, `Missing "${key}"`);
+        }
+        return object[key];
+    }
+
+    optional(object, key, path, fallback, check) {
+        if (!(key in object)) return fallback;
+        check(object[key], [...path, key]);
+        return object[key];
+    }
+
+    expectObject(value, path, allowedKeys) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            this.fail(path, 'Must be an object');
+        }
+        Object.keys(value).forEach(key => {
+            if (!allowedKeys.includes(key)) {
+                this.fail([...path, key], `Unknown property "${key}"`);
+            }
+        });
+    }
+
+    expectArray(value, path) {
+        if (!Array.isArray(value)) {
+            this.fail(path, 'Must be an array');
+        }
+    }
+
+    expectString(value, path) {
+        if (typeof value !== 'string' || value === '') {
+            this.fail(path, 'Must be a non-empty string');
+        }
+        return value;
+    }
+
+    expectBoolean(value, path) {
+        if (typeof value !== 'boolean') {
+            this.fail(path, 'Must be true or false');
+        }
+        return value;
+    }
+
+    expectNumber(value, path) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.fail(path, 'Must be a number');
+        }
+        return value;
+    }
+
+    expectPositive(value, path) {
+        this.expectNumber(value, path);
+        if (value <= 0) {
+            this.fail(path, 'Must be greater than 0');
+        }
+        return value;
+    }
+
+    expectInteger(value, path, min) {
+        if (!Number.isInteger(value) || value < min) {
+            this.fail(path, `Must be an integer of at least ${min}`);
+        }
+        return value;
+    }
+}
+
+/**
+ * Serialize level data (generated or loaded) into the level file format
+ * Options override the name, theme and music seed; music keeps sounding the same by default
+ * Returns JSON text with one platform, collectible and zone per line
+ */
+export function serializeLevel(level, options = {}) {
+    const file = {
+        schemaVersion: LEVEL_SCHEMA_VERSION,
+        name: options.name || level.name || `Level ${level.number} (seed ${level.seed})`,
+        number: level.number,
+        theme: options.theme || level.theme || DEFAULT_THEME,
+        musicSeed: options.musicSeed !== undefined ? options.musicSeed
+            : level.musicSeed !== undefined ? level.musicSeed : level.seed,
+        spawn: { x: level.spawn.x, y: level.spawn.y },
+        platforms: level.platforms.map(platform => {
+            const result = { id: platform.id, x: platform.x, y: platform.y, width: platform.width, height: platform.height };
+            if (platform.checkpoint) result.checkpoint = true;
+            return result;
+        }),
+        collectibles: level.collectibles.map(item => ({ type: item.type, x: item.x, y: item.y })),
+        teleport: {
+            x: level.teleport.x,
+            y: level.teleport.y,
+            width: level.teleport.width,
+            height: level.teleport.height
+        },
+        formZones: (level.formZones || []).map(zone => ({ x: zone.x, width: zone.width, form: zone.form }))
+    };
+
+    return formatLevelFile(file);
+}
+
+/**
+ * Pretty-print a level file, keeping each list item on its own line
+ */
+function formatLevelFile(file) {
+    const lines = Object.keys(file).map(key => {
+        const value = file[key];
+        if (Array.isArray(value) && value.length > 0) {
+            const items = value.map(item => `    ${JSON.stringify(item)}`);
+            return `  ${JSON.stringify(key)}: [\n${items.join(',\n')}\n  ]`;
+        }
+        return `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    });
+    return `{\n${lines.join(',\n')}\n}\n`;
+}
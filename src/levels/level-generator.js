@@ -0,0 +1,192 @@
+/**
+ * Level Generator Module
+ * Builds platforms, collectibles and the end teleport from a seed and level number
+ */
+
+import { SeededRandom, hashSeed } from '../utils/random.js';
+import { DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, getDifficultyParameters } from './difficulty.js';
+
+// Generation constants (world units, y grows downwards)
+const BASE_Y = 400;
+const MIN_Y = 180;
+const MAX_Y = 560;
+const PLATFORM_HEIGHT = 40;
+const START_PLATFORM_WIDTH = 600;
+const END_PLATFORM_WIDTH = 400;
+const PIXEL_SPACING = 40;
+const PIXEL_HOVER = 45;
+const PIXEL_ARC_HEIGHT = 115;
+const PIXEL_ARC_SAG = 30;
+const PIXEL_ARC_CLEARANCE = 10;
+const TELEPORT_WIDTH = 60;
+const TELEPORT_HEIGHT = 100;
+const FALL_MARGIN = 400;
+
+// Jump of the form every level starts in (square, see Player), used to keep pixel arcs within reach
+export const DEFAULT_JUMP = {
+    jumpForce: -700,
+    gravity: 1800
+};
+
+/**
+ * Get the seed used for a specific level of a run
+ */
+export function getLevelSeed(seed, levelNumber) {
+    return hashSeed(seed, levelNumber);
+}
+
+/**
+ * Get generation parameters for a level number from a difficulty profile (see difficulty.js)
+ */
+export function getLevelParameters(levelNumber, profile = DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY]) {
+    return getDifficultyParameters(profile, levelNumber);
+}
+
+/**
+ * Generate a level
+ * Options: difficulty (profile, normal by default), parameters (overrides), pickCollectibleType(random, kind)
+ * (kind is 'powerUp' or 'score'),
+ * jump ({ jumpForce, gravity } of the form pixel arcs must stay reachable for, DEFAULT_JUMP by default)
+ * Returns plain data only, so the same seed, level and difficulty always produce the same result
+ */
+export function generateLevel(seed, levelNumber, options = {}) {
+    const levelSeed = getLevelSeed(seed, levelNumber);
+    const random = new SeededRandom(levelSeed);
+    const params = { ...getLevelParameters(levelNumber, options.difficulty), ...options.parameters };
+    const pickType = options.pickCollectibleType || ((random, kind) => (kind === 'powerUp' ? 'powerUp' : 'gem'));
+    const jump = options.jump || DEFAULT_JUMP;
+
+    // Pixel arcs peak below the jump apex, so a jump from the takeoff platform can reach every pixel
+    const apexHeight = (jump.jumpForce * jump.jumpForce) / (2 * jump.gravity);
+    const arcHeight = Math.min(PIXEL_ARC_HEIGHT, apexHeight - PIXEL_ARC_CLEARANCE);
+
+    const platforms = [];
+    const pixels = [];
+    const specials = [];
+
+    // Start platform gives the player a safe run-up
+    platforms.push({
+        id: 0,
+        x: 0,
+        y: BASE_Y,
+        width: START_PLATFORM_WIDTH,
+        height: PLATFORM_HEIGHT
+    });
+
+    let x = START_PLATFORM_WIDTH;
+    let y = BASE_Y;
+
+    for (let id = 1; id <= params.platformCount; id++) {
+        const isLast = id === params.platformCount;
+        let gap = random.range(params.gapMin, params.gapMax);
+        const width = isLast ? END_PLATFORM_WIDTH : random.range(params.lengthMin, params.lengthMax);
+        const nextY = clamp(y + random.range(-params.heightVariance, params.heightVariance), MIN_Y, MAX_Y);
+
+        // Climbing eats into jump distance, so shorten gaps leading upwards
+        const rise = y - nextY;
+        if (rise > 0) {
+            gap = Math.max(params.gapMin * 0.5, gap - rise * 0.5);
+        }
+        y = nextY;
+
+        const platform = {
+            id,
+            x: Math.round(x + gap),
+            y: Math.round(y),
+            width: Math.round(width),
+            height: PLATFORM_HEIGHT
+        };
+        const previous = platforms[platforms.length - 1];
+        platforms.push(platform);
+
+        // Arc of pixels over some gaps rewards a well-timed jump
+        // Its height is measured from the takeoff platform: a higher landing platform doesn't raise the jump
+        if (random.chance(params.pixelArcChance)) {
+            const startX = previous.x + previous.width;
+            const peakY = previous.y - arcHeight;
+            for (let i = 1; i <= 3; i++) {
+                pixels.push({
+                    x: Math.round(startX + (platform.x - startX) * i / 4),
+                    y: Math.round(peakY + (1 - Math.sin(Math.PI * i / 4)) * PIXEL_ARC_SAG)
+                });
+            }
+        }
+
+        if (isLast) break;
+
+        // Row of pixels over the platform
+        const rowLength = Math.max(1, Math.floor((platform.width - PIXEL_SPACING) / PIXEL_SPACING));
+        const count = random.int(1, Math.min(rowLength, params.pixelRowMax));
+        const rowStart = platform.x + (platform.width - (count - 1) * PIXEL_SPACING) / 2;
+        for (let i = 0; i < count; i++) {
+            pixels.push({
+                x: Math.round(rowStart + i * PIXEL_SPACING),
+                y: platform.y - PIXEL_HOVER
+            });
+        }
+
+        // Occasional power-up or scoring special floating higher up, each with its own chance
+        let kind = null;
+        if (random.chance(params.powerUpChance)) {
+            kind = 'powerUp';
+        } else if (random.chance(params.specialChance)) {
+            kind = 'score';
+        }
+        if (kind) {
+            specials.push({
+                x: Math.round(platform.x + platform.width / 2),
+                y: platform.y - PIXEL_HOVER * 2,
+                type: pickType(random, kind)
+            });
+        }
+
+        x = platform.x + platform.width;
+    }
+
+    const endPlatform = platforms[platforms.length - 1];
+    const teleport = {
+        x: endPlatform.x + endPlatform.width - TELEPORT_WIDTH - 80,
+        y: endPlatform.y - TELEPORT_HEIGHT,
+        width: TELEPORT_WIDTH,
+        height: TELEPORT_HEIGHT
+    };
+
+    return {
+        number: levelNumber,
+        seed,
+        levelSeed,
+        platforms,
+        collectibles: [
+            ...pixels.map(pos => ({ ...pos, type: 'pixel' })),
+            ...specials
+        ],
+        teleport,
+        spawn: {
+            x: 150,
+            y: BASE_Y - 140
+        },
+        bounds: computeLevelBounds(platforms)
+    };
+}
+
+/**
+ * Get level bounds around a set of platforms (also used for hand-authored levels)
+ * Falling below the bottom bound kills the player
+ */
+export function computeLevelBounds(platforms) {
+    const left = platforms.reduce((min, p) => Math.min(min, p.x), 0);
+    const right = platforms.reduce((max, p) => Math.max(max, p.x + p.width), 0);
+    const highest = platforms.reduce((min, p) => Math.min(min, p.y), MIN_Y);
+    const lowest = platforms.reduce((max, p) => Math.max(max, p.y + p.height), 0);
+
+    return {
+        left,
+        right,
+        top: highest - 600,
+        bottom: lowest + FALL_MARGIN
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,378 @@
+/**
+ * Level Manager Module
+ * Loads procedurally generated or hand-authored levels and tracks level progress
+ */
+
+import { generateLevel } from './level-generator.js';
+import { DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, getDifficultyParameters } from './difficulty.js';
+
+export const DEFAULT_SEED = 20250828;
+
+/**
+ * Time to run from spawn to teleport at the level's base speed (starting form, no boosts)
+ */
+function computeParTime(level, speed) {
+    return (level.teleport.x - level.spawn.x) / speed;
+}
+
+export class LevelManager {
+    constructor(seed = DEFAULT_SEED) {
+        // Run seed: every level is derived from it
+        this.seed = seed >>> 0;
+
+        // Difficulty profile shaping every generated level (see difficulty.js)
+        this.difficulty = DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+
+        // Current level data
+        this.currentLevel = 1;
+        this.level = null;
+        this.platforms = [];
+        this.teleport = null;
+
+        // Hand-authored level being played (see level-format.js), null for generated levels
+        this.customLevel = null;
+
+        // Connected systems
+        this.player = null;
+        this.collectibleManager = null;
+        this.gameState = null;
+
+        // Level state
+        this.levelComplete = false;
+        this.teleportPhase = 0;
+    }
+
+    /**
+     * Initialize level manager with the systems it feeds
+     */
+    init(player = null, collectibleManager = null, gameState = null) {
+        this.player = player;
+        this.collectibleManager = collectibleManager;
+        this.gameState = gameState;
+    }
+
+    /**
+     * Set run seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+    }
+
+    /**
+     * Get run seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Set difficulty profile (applies from the next level load)
+     */
+    setDifficulty(profile) {
+        this.difficulty = profile;
+    }
+
+    /**
+     * Get difficulty profile
+     */
+    getDifficulty() {
+        return this.difficulty;
+    }
+
+    /**
+     * Get the player's base speed for a level (current level by default)
+     */
+    getPlayerSpeed(levelNumber = this.currentLevel) {
+        return getDifficultyParameters(this.difficulty, levelNumber).playerSpeed;
+    }
+
+    /**
+     * Generate level data without loading it
+     */
+    generate(levelNumber) {
+        return generateLevel(this.seed, levelNumber, {
+            difficulty: this.difficulty,
+            pickCollectibleType: this.collectibleManager
+                ? (random, kind) => this.collectibleManager.generateRandomType(random, kind)
+                : undefined
+        });
+    }
+
+    /**
+     * Get summary of a level without loading it (for level select)
+     */
+    getLevelInfo(levelNumber) {
+        const level = this.generate(levelNumber);
+        return {
+            number: levelNumber,
+            totalPixels: level.collectibles.filter(item => item.type === 'pixel').length,
+            parTime: computeParTime(level, this.getPlayerSpeed(levelNumber))
+        };
+    }
+
+    /**
+     * Load a generated level by number
+     */
+    loadLevel(levelNumber) {
+        this.customLevel = null;
+        return this.loadLevelData(this.generate(levelNumber));
+    }
+
+    /**
+     * Load a hand-authored level (data from parseLevelFile)
+     * Platforms are copied, so respawn assist can reshape them and restarts still get the original
+     */
+    loadCustomLevel(level) {
+        this.customLevel = level;
+        return this.loadLevelData({
+            ...level,
+            platforms: level.platforms.map(platform => ({ ...platform })).sort((a, b) => a.x - b.x)
+        });
+    }
+
+    /**
+     * Make level data the current level and feed it to the connected systems
+     */
+    loadLevelData(level) {
+        this.currentLevel = level.number;
+        this.level = level;
+        this.platforms = this.level.platforms;
+        this.teleport = { ...this.level.teleport };
+        this.levelComplete = false;
+        this.teleportPhase = 0;
+
+        this.populateCollectibles();
+
+        if (this.gameState) {
+            this.gameState.setLevel(level.number);
+            this.gameState.resetLevelStats();
+            this.gameState.setTotalPixelsInLevel(this.getTotalPixels());
+        }
+
+        if (this.player) {
+            this.player.setRespawnPosition(this.level.spawn.x, this.level.spawn.y);
+            this.player.setLastSafePlatform(null);
+        }
+
+        return this.level;
+    }
+
+    /**
+     * Restart the current level (regenerated from the same seed, or the hand-authored level reloaded)
+     */
+    restartLevel() {
+        return this.customLevel ? this.loadCustomLevel(this.customLevel) : this.loadLevel(this.currentLevel);
+    }
+
+    /**
+     * Check if the current level is hand-authored
+     */
+    isCustomLevel() {
+        return this.customLevel !== null;
+    }
+
+    /**
+     * Get the hand-authored level as loaded (null for generated levels)
+     */
+    getCustomLevel() {
+        return this.customLevel;
+    }
+
+    /**
+     * Hand level collectibles to the collectible manager, grouped by type
+     */
+    populateCollectibles() {
+        if (!this.collectibleManager) return;
+
+        this.collectibleManager.clear();
+
+        const positionsByType = {};
+        this.level.collectibles.forEach(item => {
+            if (!positionsByType[item.type]) positionsByType[item.type] = [];
+            positionsByType[item.type].push({ x: item.x, y: item.y });
+        });
+
+        Object.keys(positionsByType).forEach(type => {
+            this.collectibleManager.addCollectibles(positionsByType[type], type);
+        });
+    }
+
+    /**
+     * Update level state
+     */
+    update(dt) {
+        if (!this.level) return;
+
+        this.teleportPhase += dt;
+
+        if (!this.player) return;
+
+        // Falling below the level kills the player
+        if (this.player.y > this.level.bounds.bottom) {
+            this.player.die();
+        }
+
+        // Forced form zones of hand-authored levels
+        if (this.level.formZones) {
+            const zone = this.getFormZoneAt(this.player.x + this.player.width / 2);
+            this.player.setForcedForm(zone ? zone.form : null);
+        }
+
+        if (!this.levelComplete && this.player.handleTeleportCollision(this.teleport)) {
+            this.levelComplete = true;
+        }
+    }
+
+    /**
+     * Check if the player has reached the teleport
+     */
+    isLevelComplete() {
+        return this.levelComplete;
+    }
+
+    /**
+     * Get current level number
+     */
+    getCurrentLevel() {
+        return this.currentLevel;
+    }
+
+    /**
+     * Get current level data
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * Get all platforms in the level
+     */
+    getPlatforms() {
+        return this.platforms;
+    }
+
+    /**
+     * Get platform by id
+     */
+    getPlatformById(id) {
+        return this.platforms.find(platform => platform.id === id) || null;
+    }
+
+    /**
+     * Get the platform a number of places before (negative) or after (positive) another one
+     * Clamped to the first and last platform
+     */
+    getPlatformOffset(id, offset) {
+        const index = this.platforms.findIndex(platform => platform.id === id);
+        if (index === -1) return null;
+        
+        const target = Math.max(0, Math.min(this.platforms.length - 1, index + offset));
+        return this.platforms[target];
+    }
+    
+    /**
+     * Extend the platform after the given one back towards it, narrowing the gap between them
+     * Leaves at least minGap pixels open; returns the extended platform (null if nothing changed)
+     * Platform geometry changes, so the physics broadphase must be invalidated afterwards
+     */
+    easeGapAfter(id, amount, minGap = 0) {
+        const index = this.platforms.findIndex(platform => platform.id === id);
+        if (index === -1 || index >= this.platforms.length - 1) return null;
+        
+        const platform = this.platforms[index];
+        const next = this.platforms[index + 1];
+        const gap = next.x - (platform.x + platform.width);
+        const extension = Math.min(amount, gap - minGap);
+        if (extension <= 0) return null;
+        
+        next.x -= extension;
+        next.width += extension;
+        return next;
+    }
+    
+    /**
+     * Get platforms overlapping a horizontal range
+     */
+    getPlatformsInRange(left, right) {
+        return this.platforms.filter(platform =>
+            platform.x + platform.width > left && platform.x < right
+        );
+    }
+
+    /**
+     * Get the teleport at the end of the level
+     */
+    getTeleport() {
+        return this.teleport;
+    }
+
+    /**
+     * Get the forced form zone containing x (null if none)
+     */
+    getFormZoneAt(x) {
+        const zones = this.level ? this.level.formZones || [] : [];
+        return zones.find(zone => x >= zone.x && x < zone.x + zone.width) || null;
+    }
+    
+    /**
+     * Get the platform to respawn on after dying from a platform
+     * In levels with checkpoints this is the last checkpoint at or before it (null: the spawn point)
+     */
+    getCheckpointFor(platform) {
+        if (!platform || !this.level || !this.level.checkpoints || this.level.checkpoints.length === 0) {
+            return platform;
+        }
+        
+        let checkpoint = null;
+        this.platforms.forEach(candidate => {
+            if (candidate.checkpoint && candidate.x <= platform.x && (!checkpoint || candidate.x > checkpoint.x)) {
+                checkpoint = candidate;
+            }
+        });
+        return checkpoint;
+    }
+    
+    /**
+     * Get the seed of the level music
+     */
+    getMusicSeed() {
+        if (this.level && this.level.musicSeed !== undefined) return this.level.musicSeed;
+        return this.seed;
+    }
+    
+    /**
+     * Get the parallax theme of the current level
+     */
+    getTheme() {
+        return this.level && this.level.theme ? this.level.theme : 'day';
+    }
+    
+    /**
+     * Get teleport animation phase
+     */
+    getTeleportPhase() {
+        return this.teleportPhase;
+    }
+
+    /**
+     * Get number of pixel collectibles in the level
+     */
+    getTotalPixels() {
+        if (!this.level) return 0;
+        return this.level.collectibles.filter(item => item.type === 'pixel').length;
+    }
+
+    /**
+     * Get par time of the current level (seconds)
+     */
+    getParTime() {
+        return this.level ? computeParTime(this.level, this.getPlayerSpeed()) : 0;
+    }
+    
+    /**
+     * Get level bounds
+     */
+    getBounds() {
+        return this.level ? this.level.bounds : null;
+    }
+}
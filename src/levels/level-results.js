@@ -0,0 +1,48 @@
+/**
+ * Level Results Module
+ * End-of-level statistics and the bonus awarded for them
+ */
+
+import { computeMedal } from './medals.js';
+
+// Bonus points
+const PIXEL_PERCENT_BONUS = 10;
+const ALL_PIXELS_BONUS = 500;
+const PERFECT_BONUS = 500;
+const TIME_BONUS_PER_SECOND = 20;
+
+// Finishing faster than par time multiplied by this earns a time bonus
+const TIME_BONUS_FACTOR = 1.5;
+
+/**
+ * Calculate bonus points for a finished level from its time, perfection and pixel percentage
+ */
+export function calculateLevelBonus({ time, pixels, totalPixels, percentage, perfect }, parTime) {
+    const bonus = {
+        pixels: Math.round(percentage) * PIXEL_PERCENT_BONUS,
+        allPixels: totalPixels > 0 && pixels >= totalPixels ? ALL_PIXELS_BONUS : 0,
+        perfect: perfect ? PERFECT_BONUS : 0,
+        time: Math.max(0, Math.round((parTime * TIME_BONUS_FACTOR - time) * TIME_BONUS_PER_SECOND))
+    };
+    bonus.total = bonus.pixels + bonus.allPixels + bonus.perfect + bonus.time;
+    return bonus;
+}
+
+/**
+ * Collect the result of the level that was just finished from the game state
+ */
+export function buildLevelResult(gameState, parTime) {
+    const result = {
+        level: gameState.getCurrentLevel(),
+        time: gameState.getLevelTime(),
+        pixels: gameState.getCollectedPixels(),
+        totalPixels: gameState.getTotalPixelsInLevel(),
+        percentage: gameState.getLevelCompletionPercentage(),
+        deaths: gameState.getLevelDeaths(),
+        perfect: gameState.isPerfectLevel(),
+        parTime
+    };
+    result.bonus = calculateLevelBonus(result, parTime);
+    result.medal = computeMedal(result, parTime);
+    return result;
+}
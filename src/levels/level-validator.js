@@ -0,0 +1,454 @@
+/**
+ * Level Validator Module
+ * Offline reachability check for levels: simulates the jump arcs of one player form through the
+ * real collision code and reports platforms, collectibles and the teleport it can never reach
+ * Only proves reachability: timing windows (coyote time, jump buffer) and power-ups are never relied on
+ */
+
+import { PhysicsEngine, CONTACT_TYPES } from '../physics/physics-engine.js';
+import { collectibleRegistry } from '../core/collectible-registry.js';
+import { DEFAULT_STEP_RATE } from '../core/simulation.js';
+
+// Player gravity (see Player), used when the form definition doesn't carry one
+export const DEFAULT_GRAVITY = 1800;
+
+// Air jumps only start while not rising fast (see Player.jump)
+const AIR_JUMP_MIN_DY = -200;
+
+// Upward speed given by ledge step-ups (see Player.handlePlatformCollision)
+const STEP_UP_DY = -120;
+
+// Collectible size for types missing from the registry
+const DEFAULT_COLLECTIBLE_SIZE = 10;
+
+// Width of the columns collectibles are bucketed into for touch checks
+const COLUMN_WIDTH = 64;
+
+// Distance from a platform at which a precomputed flight hands over to the physics engine
+// (the engine counts contacts that only touch, so the flight stops a little short of them)
+const CONTACT_MARGIN = 1e-3;
+
+/**
+ * Default search settings
+ * takeoffSpacing: ticks between jump takeoffs tried along a platform
+ * cutSpacing: ticks between jump release times tried (variable jump height)
+ * airJumpSpacing: ticks between air jump times tried (doubleJump forms)
+ * maxAirTime: seconds a single jump is followed before giving up
+ */
+export const VALIDATOR_DEFAULTS = {
+    stepRate: DEFAULT_STEP_RATE,
+    takeoffSpacing: 8,
+    cutSpacing: 6,
+    airJumpSpacing: 8,
+    maxAirTime: 2.5
+};
+
+/**
+ * Level Validator
+ * Form is a definition from Player.forms, optionally with gravity; options.speed overrides its maxSpeed
+ */
+export class LevelValidator {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = { ...VALIDATOR_DEFAULTS, ...options };
+        this.gravity = form.gravity !== undefined ? form.gravity : DEFAULT_GRAVITY;
+        this.speed = options.speed !== undefined ? options.speed : form.maxSpeed;
+        this.dt = 1 / this.options.stepRate;
+        this.maxAirTicks = Math.ceil(this.options.maxAirTime * this.options.stepRate);
+        this.collectibleSize = options.collectibleSize || getRegisteredCollectibleSize;
+
+        this.jumpPlans = this.buildJumpPlans().map(plan => ({ ...plan, flight: this.buildFlight(plan) }));
+        this.engine = new PhysicsEngine();
+    }
+
+    /**
+     * List the jumps tried from every takeoff: full hold, releases while rising and one air jump
+     * Each plan is { cutTick, airJumpTick } in ticks after takeoff (null: never); its flight is added later
+     */
+    buildJumpPlans() {
+        const plans = [{ cutTick: null, airJumpTick: null }];
+
+        const riseTicks = Math.ceil(-this.form.jumpForce / this.gravity * this.options.stepRate);
+        for (let tick = 1; tick < riseTicks; tick += this.options.cutSpacing) {
+            plans.push({ cutTick: tick, airJumpTick: null });
+        }
+
+        if (this.form.specialAbility === 'doubleJump') {
+            for (let tick = 1; tick < this.maxAirTicks; tick += this.options.airJumpSpacing) {
+                plans.push({ cutTick: null, airJumpTick: tick });
+            }
+        }
+        return plans;
+    }
+
+    /**
+     * Simulate a plan's free flight once: offsets from the takeoff point and vertical speed after every tick
+     * Every takeoff of every level shares it, so the physics engine only runs once a jump nears a platform
+     */
+    buildFlight(plan) {
+        const flight = {
+            x: new Float64Array(this.maxAirTicks),
+            y: new Float64Array(this.maxAirTicks),
+            dy: new Float64Array(this.maxAirTicks)
+        };
+        const body = this.createBody(0, 0);
+        this.jump(body);
+
+        for (let tick = 0; tick < this.maxAirTicks; tick++) {
+            this.steer(body, plan, tick);
+            this.move(body);
+            flight.x[tick] = body.x;
+            flight.y[tick] = body.y;
+            flight.dy[tick] = body.dy;
+        }
+        return flight;
+    }
+
+    /**
+     * Validate a level ({ platforms, collectibles, teleport, spawn, bounds })
+     * Returns { ok, reachedPlatforms, totalPlatforms, unreachable: [{ kind, x, y, ... }] }
+     */
+    validate(level) {
+        this.level = level;
+        this.engine.setPlatforms(level.platforms);
+
+        // Platforms by right edge, with the lowest top among each one and all ending further right:
+        // a falling body below that top can't land anywhere any more (it only moves right and down)
+        this.platformEnds = level.platforms
+            .map(platform => ({ right: platform.x + platform.width, top: platform.y }))
+            .sort((a, b) => a.right - b.right);
+        for (let i = this.platformEnds.length - 2; i >= 0; i--) {
+            this.platformEnds[i].top = Math.max(this.platformEnds[i].top, this.platformEnds[i + 1].top);
+        }
+
+        this.entries = new Map();
+        this.pending = new Set();
+        this.touched = new Set();
+        this.teleportReached = false;
+        this.collectibles = (level.collectibles || []).map((item, index) => ({
+            ...item,
+            index,
+            radius: this.form.width / 2 + this.collectibleSize(item.type)
+        }));
+
+        // Bucket collectibles by every column their touch radius reaches
+        this.columns = new Map();
+        this.collectibles.forEach(item => {
+            const first = Math.floor((item.x - item.radius) / COLUMN_WIDTH);
+            const last = Math.floor((item.x + item.radius) / COLUMN_WIDTH);
+            for (let column = first; column <= last; column++) {
+                if (!this.columns.has(column)) this.columns.set(column, []);
+                this.columns.get(column).push(item);
+            }
+        });
+
+        // Drop in from the spawn point, then explore every platform landed on
+        this.follow(this.createBody(level.spawn.x, level.spawn.y), null);
+        while (this.pending.size > 0) {
+            const platform = this.takeLeftmostPending();
+            this.explore(platform, this.entries.get(platform.id));
+        }
+
+        return this.buildReport();
+    }
+
+    /**
+     * Take the pending platform furthest left
+     * The player only moves right, so platforms further left are explored first and rarely revisited
+     */
+    takeLeftmostPending() {
+        let leftmost = null;
+        this.pending.forEach(platform => {
+            if (!leftmost || platform.x < leftmost.x) leftmost = platform;
+        });
+        this.pending.delete(leftmost);
+        return leftmost;
+    }
+
+    /**
+     * Run along a platform from its entry point, trying every jump plan at regular takeoffs
+     */
+    explore(platform, entry) {
+        const body = { ...entry };
+        const runTicks = Math.ceil((platform.x + platform.width - entry.x) / this.speed * this.options.stepRate);
+        let groundTicks = 0;
+
+        for (let tick = 0; tick < runTicks + this.maxAirTicks; tick++) {
+            if (body.onGround || body.bounced) {
+                if (groundTicks % this.options.takeoffSpacing === 0 || body.bounced) {
+                    this.jumpPlans.forEach(plan => this.follow({ ...body }, platform, plan));
+                }
+                groundTicks++;
+            }
+
+            const contact = this.step(body);
+            if (!contact.alive) return;
+            if (contact.landedOn && contact.landedOn !== platform) {
+                this.reach(contact.landedOn, body);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Follow one jump (or a drop without a plan) until it lands, dies or times out
+     * Jumps run along their precomputed flight until they near a platform, then through the physics engine
+     * Landing back on the takeoff platform adds nothing: running on covers it
+     */
+    follow(body, from, plan = null) {
+        let tick = 0;
+        if (plan) {
+            this.jump(body);
+            tick = this.fly(body, from, plan);
+            if (tick === null) return;
+        }
+
+        for (; tick < this.maxAirTicks; tick++) {
+            if (plan) this.steer(body, plan, tick);
+
+            const contact = this.step(body);
+            if (!contact.alive) return;
+            if (contact.landedOn) {
+                if (contact.landedOn !== from) this.reach(contact.landedOn, body);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Move a body that just took off along its plan's flight, touching collectibles on the way
+     * Stops before the first tick whose movement comes near a platform (the takeoff platform only counts
+     * once falling) and returns that tick, or null if the jump falls past every platform or times out first
+     */
+    fly(body, from, plan) {
+        const { flight } = plan;
+        const originX = body.x;
+        const originY = body.y;
+        const platforms = this.engine.queryPlatforms(originX, originX + flight.x[this.maxAirTicks - 1] + body.width);
+        let prevX = originX;
+        let prevY = originY;
+
+        for (let tick = 0; tick < this.maxAirTicks; tick++) {
+            const x = originX + flight.x[tick];
+            const y = originY + flight.y[tick];
+            const ignored = flight.dy[tick] < 0 ? from : null;
+            if (this.sweepsPlatform(platforms, ignored, prevX, prevY, x, y)) {
+                body.x = prevX;
+                body.y = prevY;
+                if (tick > 0) body.dy = flight.dy[tick - 1];
+                return tick;
+            }
+
+            this.checkTouches(x, y);
+            if (flight.dy[tick] >= 0 && y + body.height > this.getLowestTopAhead(x)) return null;
+            prevX = x;
+            prevY = y;
+        }
+        return null;
+    }
+
+    /**
+     * Check if the box swept from one position to the next comes near any of the platforms but one
+     */
+    sweepsPlatform(platforms, ignored, prevX, prevY, x, y) {
+        const left = Math.min(prevX, x) - CONTACT_MARGIN;
+        const right = Math.max(prevX, x) + this.form.width + CONTACT_MARGIN;
+        const top = Math.min(prevY, y) - CONTACT_MARGIN;
+        const bottom = Math.max(prevY, y) + this.form.height + CONTACT_MARGIN;
+
+        for (const platform of platforms) {
+            if (platform !== ignored && right > platform.x && left < platform.x + platform.width &&
+                bottom > platform.y && top < platform.y + platform.height) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Record a landing; earlier landings allow more takeoffs, so they replace later ones
+     */
+    reach(platform, body) {
+        const entry = this.entries.get(platform.id);
+        if (entry && entry.x <= body.x) return;
+
+        this.entries.set(platform.id, { ...body });
+        this.pending.add(platform);
+    }
+
+    /**
+     * Create a body at a position, falling
+     */
+    createBody(x, y) {
+        return { x, y, prevX: x, prevY: y, width: this.form.width, height: this.form.height, dy: 0, onGround: false, bounced: false };
+    }
+
+    /**
+     * Start a ground jump
+     */
+    jump(body) {
+        body.dy = this.form.jumpForce;
+        body.onGround = false;
+        body.bounced = false;
+    }
+
+    /**
+     * Apply a plan's jump release or air jump due at a tick after takeoff
+     */
+    steer(body, plan, tick) {
+        if (tick === plan.cutTick && body.dy < 0) {
+            body.dy *= this.form.jumpCutMultiplier;
+        }
+        if (tick === plan.airJumpTick && body.dy > AIR_JUMP_MIN_DY) {
+            body.dy = this.form.jumpForce * 0.8;
+        }
+    }
+
+    /**
+     * Integrate one tick of running and gravity like Player.update, without collisions
+     */
+    move(body) {
+        body.prevX = body.x;
+        body.prevY = body.y;
+        body.dy += this.gravity * this.dt;
+        body.x += this.speed * this.dt;
+        body.y += body.dy * this.dt;
+        body.onGround = false;
+        body.bounced = false;
+    }
+
+    /**
+     * Advance one tick like Player.update and the physics engine
+     * Returns { alive, landedOn }
+     */
+    step(body) {
+        this.move(body);
+
+        let landedOn = null;
+        const contacts = this.engine.resolve(body);
+        for (const contact of contacts) {
+            switch (contact.type) {
+                case CONTACT_TYPES.LANDED:
+                    body.dy = 0;
+                    body.onGround = true;
+                    landedOn = contact.platform;
+                    if (this.form.specialAbility === 'bounce') {
+                        body.dy = this.form.jumpForce * 0.5;
+                        body.onGround = false;
+                        body.bounced = true;
+                    }
+                    break;
+                case CONTACT_TYPES.CEILING:
+                    body.dy = 0;
+                    break;
+                case CONTACT_TYPES.LEDGE_STEP_UP:
+                    // Counts as reaching the platform only once it is landed on (the step-up can still fail)
+                    body.dy = STEP_UP_DY;
+                    body.onGround = true;
+                    break;
+                case CONTACT_TYPES.SIDE_DEATH:
+                    return { alive: false, landedOn: null };
+            }
+        }
+
+        this.checkTouches(body.x, body.y);
+        const falling = body.dy >= 0 && !landedOn;
+        return { alive: !falling || body.y + body.height <= this.getLowestTopAhead(body.x), landedOn };
+    }
+
+    /**
+     * Get the lowest platform top ending right of x (-Infinity if none)
+     */
+    getLowestTopAhead(x) {
+        let low = 0;
+        let high = this.platformEnds.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.platformEnds[mid].right > x) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low < this.platformEnds.length ? this.platformEnds[low].top : -Infinity;
+    }
+
+    /**
+     * Mark collectibles and the teleport touched by a body at a position
+     */
+    checkTouches(x, y) {
+        const { width, height } = this.form;
+        const centerX = x + width / 2;
+        const centerY = y + height / 2;
+        const items = this.columns.get(Math.floor(centerX / COLUMN_WIDTH));
+        if (items) {
+            items.forEach(item => {
+                if (!this.touched.has(item.index) && Math.hypot(centerX - item.x, centerY - item.y) < item.radius) {
+                    this.touched.add(item.index);
+                }
+            });
+        }
+
+        const teleport = this.level.teleport;
+        if (!this.teleportReached && teleport &&
+            x + width > teleport.x && x < teleport.x + teleport.width &&
+            y + height > teleport.y && y < teleport.y + teleport.height) {
+            this.teleportReached = true;
+        }
+    }
+
+    /**
+     * List everything that was never reached
+     */
+    buildReport() {
+        const unreachable = [];
+
+        this.level.platforms.forEach(platform => {
+            if (!this.entries.has(platform.id)) {
+                unreachable.push({ kind: 'platform', id: platform.id, x: platform.x, y: platform.y });
+            }
+        });
+        this.collectibles.forEach(item => {
+            if (!this.touched.has(item.index)) {
+                unreachable.push({ kind: 'collectible', type: item.type, index: item.index, x: item.x, y: item.y });
+            }
+        });
+        if (this.level.teleport && !this.teleportReached) {
+            unreachable.push({ kind: 'teleport', x: this.level.teleport.x, y: this.level.teleport.y });
+        }
+
+        return {
+            ok: unreachable.length === 0,
+            reachedPlatforms: this.entries.size,
+            totalPlatforms: this.level.platforms.length,
+            unreachable
+        };
+    }
+}
+
+/**
+ * Validate a level for one form (see LevelValidator)
+ */
+export function validateLevel(level, form, options = {}) {
+    return new LevelValidator(form, options).validate(level);
+}
+
+/**
+ * Describe an unreachable item in one line
+ */
+export function describeIssue(issue) {
+    const at = `(${Math.round(issue.x)}, ${Math.round(issue.y)})`;
+    switch (issue.kind) {
+        case 'platform':
+            return `platform ${issue.id} at ${at} cannot be reached (gap or climb too large)`;
+        case 'collectible':
+            return `${issue.type} collectible #${issue.index} at ${at} cannot be reached`;
+        default:
+            return `${issue.kind} at ${at} cannot be reached`;
+    }
+}
+
+function getRegisteredCollectibleSize(type) {
+    const definition = collectibleRegistry.has(type) ? collectibleRegistry.get(type) : null;
+    return definition ? definition.size : DEFAULT_COLLECTIBLE_SIZE;
+}
@@ -0,0 +1,60 @@
+/**
+ * Medals Module
+ * Bronze/silver/gold medals from level time and pixel thresholds
+ * A medal is earned by a single run: time and pixels of different runs never combine
+ */
+
+export const MEDALS = {
+    NONE: null,
+    BRONZE: 'bronze',
+    SILVER: 'silver',
+    GOLD: 'gold'
+};
+
+// Medals from worst to best
+const MEDAL_RANKS = [MEDALS.NONE, MEDALS.BRONZE, MEDALS.SILVER, MEDALS.GOLD];
+
+// Multipliers of par time and minimum pixel percentage per medal
+const MEDAL_RULES = [
+    { medal: MEDALS.GOLD, timeFactor: 1.1, pixelPercentage: 90 },
+    { medal: MEDALS.SILVER, timeFactor: 1.4, pixelPercentage: 60 },
+    { medal: MEDALS.BRONZE, timeFactor: Infinity, pixelPercentage: 0 }
+];
+
+/**
+ * Get medal thresholds for a level with the given par time
+ */
+export function getMedalThresholds(parTime) {
+    return MEDAL_RULES.map(rule => ({
+        medal: rule.medal,
+        maxTime: parTime * rule.timeFactor,
+        minPixelPercentage: rule.pixelPercentage
+    }));
+}
+
+/**
+ * Get the medal earned by one completed run ({ time, percentage }, null if there is no run)
+ */
+export function computeMedal(run, parTime) {
+    if (!run || typeof run.time !== 'number') return MEDALS.NONE;
+
+    const percentage = run.percentage || 0;
+    const earned = getMedalThresholds(parTime).find(threshold =>
+        run.time <= threshold.maxTime && percentage >= threshold.minPixelPercentage
+    );
+    return earned ? earned.medal : MEDALS.NONE;
+}
+
+/**
+ * Check if a value is one of the MEDALS
+ */
+export function isMedal(value) {
+    return MEDAL_RANKS.includes(value);
+}
+
+/**
+ * Get the better of two medals
+ */
+export function getBetterMedal(a, b) {
+    return MEDAL_RANKS.indexOf(b) > MEDAL_RANKS.indexOf(a) ? b : a;
+}
@@ -0,0 +1,100 @@
+/**
+ * Respawn Assist Module
+ * Decides where the player respawns after repeated deaths at the same spot:
+ * rolls back to an earlier safe platform, grants grace invulnerability and can ease the problem gap
+ */
+
+/**
+ * Assist settings per difficulty
+ * rollbackThreshold: deaths from the same platform before rolling back (null disables)
+ * rollbackPlatforms: how many platforms back to respawn
+ * graceDuration: seconds of invulnerability after a rollback respawn
+ * gapAssistThreshold: deaths from the same platform before the next platform is extended back (null disables)
+ * gapAssistWidth: pixels the next platform grows towards the problem gap
+ */
+export const RESPAWN_ASSIST_SETTINGS = {
+    easy: {
+        rollbackThreshold: 3,
+        rollbackPlatforms: 1,
+        graceDuration: 1.5,
+        gapAssistThreshold: 4,
+        gapAssistWidth: 80
+    },
+    normal: {
+        rollbackThreshold: 6,
+        rollbackPlatforms: 1,
+        graceDuration: 1.0,
+        gapAssistThreshold: null,
+        gapAssistWidth: 0
+    },
+    hard: {
+        rollbackThreshold: 10,
+        rollbackPlatforms: 2,
+        graceDuration: 0,
+        gapAssistThreshold: null,
+        gapAssistWidth: 0
+    }
+};
+
+// Gap that gap assist always leaves open (pixels)
+const MIN_ASSISTED_GAP = 40;
+
+export class RespawnAssist {
+    constructor(settings = RESPAWN_ASSIST_SETTINGS.normal) {
+        this.settings = { ...settings };
+    }
+
+    /**
+     * Use the settings of a difficulty
+     */
+    setDifficulty(difficulty) {
+        const settings = RESPAWN_ASSIST_SETTINGS[difficulty];
+        if (!settings) {
+            console.warn(`Unknown difficulty for respawn assist: ${difficulty}`);
+            return;
+        }
+        this.settings = { ...settings };
+    }
+
+    /**
+     * Override individual settings
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    /**
+     * Get current settings
+     */
+    getSettings() {
+        return this.settings;
+    }
+
+    /**
+     * Plan a respawn after dying from deathPlatform (the last safe platform, or null)
+     * Returns { platform, graceDuration, rolledBack, assistedPlatform }
+     */
+    plan(deathPlatform, consecutiveDeaths, levelManager) {
+        const plan = {
+            platform: deathPlatform,
+            graceDuration: 0,
+            rolledBack: false,
+            assistedPlatform: null
+        };
+        if (!deathPlatform) return plan;
+
+        const { rollbackThreshold, rollbackPlatforms, graceDuration, gapAssistThreshold, gapAssistWidth } = this.settings;
+
+        if (gapAssistThreshold !== null && consecutiveDeaths >= gapAssistThreshold) {
+            plan.assistedPlatform = levelManager.easeGapAfter(deathPlatform.id, gapAssistWidth, MIN_ASSISTED_GAP);
+        }
+
+        if (rollbackThreshold !== null && consecutiveDeaths >= rollbackThreshold) {
+            plan.platform = levelManager.getPlatformOffset(deathPlatform.id, -rollbackPlatforms);
+            plan.graceDuration = graceDuration;
+            plan.rolledBack = true;
+        }
+
+        return plan;
+    }
+}
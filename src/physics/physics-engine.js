@@ -0,0 +1,277 @@
+/**
+ * Physics Engine Module
+ * Broadphase over level platforms and swept AABB collision for the player
+ */
+
+// Contact types reported to the player
+export const CONTACT_TYPES = {
+    LANDED: 'landed',
+    CEILING: 'ceiling',
+    SIDE_DEATH: 'sideDeath',
+    LEDGE_STEP_UP: 'ledgeStepUp'
+};
+
+// Max resolution passes per tick (land, then slide along the surface, etc.)
+const MAX_ITERATIONS = 3;
+
+// Tolerance for contacts that start exactly touching
+const EPSILON = 1e-6;
+
+/**
+ * Spatial Hash
+ * Buckets platforms into fixed-width columns along the x axis
+ */
+export class SpatialHash {
+    constructor(cellSize = 256) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Insert an item with x/width bounds
+     */
+    insert(item) {
+        const first = Math.floor(item.x / this.cellSize);
+        const last = Math.floor((item.x + item.width) / this.cellSize);
+        for (let cell = first; cell <= last; cell++) {
+            if (!this.cells.has(cell)) this.cells.set(cell, []);
+            this.cells.get(cell).push(item);
+        }
+    }
+
+    /**
+     * Get unique items overlapping a horizontal range
+     */
+    query(left, right) {
+        const first = Math.floor(left / this.cellSize);
+        const last = Math.floor(right / this.cellSize);
+        const result = [];
+        const seen = new Set();
+        for (let cell = first; cell <= last; cell++) {
+            const items = this.cells.get(cell);
+            if (!items) continue;
+            items.forEach(item => {
+                if (!seen.has(item)) {
+                    seen.add(item);
+                    result.push(item);
+                }
+            });
+        }
+        return result;
+    }
+}
+
+export class PhysicsEngine {
+    constructor() {
+        this.player = null;
+        this.levelManager = null;
+
+        // Broadphase
+        this.broadphase = new SpatialHash();
+        this.indexedPlatforms = null;
+
+        // Contacts reported on the last tick
+        this.contacts = [];
+    }
+
+    /**
+     * Initialize physics engine with the player and level source
+     */
+    init(player = null, levelManager = null) {
+        this.player = player;
+        this.levelManager = levelManager;
+    }
+
+    /**
+     * Rebuild broadphase from a platform list
+     */
+    setPlatforms(platforms) {
+        this.broadphase.clear();
+        platforms.forEach(platform => this.broadphase.insert(platform));
+        this.indexedPlatforms = platforms;
+    }
+
+    /**
+     * Force broadphase rebuild on the next tick (after platforms are edited in place)
+     */
+    invalidate() {
+        this.indexedPlatforms = null;
+    }
+
+    /**
+     * Get platforms overlapping a horizontal range
+     */
+    queryPlatforms(left, right) {
+        return this.broadphase.query(left, right);
+    }
+
+    /**
+     * Resolve player movement for this tick
+     */
+    update(dt) {
+        this.contacts = [];
+        if (!this.player || !this.levelManager) return;
+
+        const platforms = this.levelManager.getPlatforms();
+        if (platforms !== this.indexedPlatforms) {
+            this.setPlatforms(platforms);
+        }
+
+        if (this.player.isDead()) return;
+
+        this.contacts = this.resolve(this.player);
+        this.contacts.forEach(contact => this.player.handlePlatformCollision(contact));
+    }
+
+    /**
+     * Sweep the player from its previous to its current position and report contacts
+     */
+    resolve(body) {
+        const contacts = [];
+        const box = { x: body.prevX, y: body.prevY, width: body.width, height: body.height };
+        let moveX = body.x - body.prevX;
+        let moveY = body.y - body.prevY;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const hit = this.findFirstHit(box, moveX, moveY);
+            if (!hit) {
+                box.x += moveX;
+                box.y += moveY;
+                break;
+            }
+
+            box.x += moveX * hit.time;
+            box.y += moveY * hit.time;
+            const remaining = 1 - hit.time;
+            const contact = this.classifyContact(box, body, hit);
+            contacts.push(contact);
+
+            if (contact.type === CONTACT_TYPES.SIDE_DEATH) {
+                moveX = 0;
+                moveY = 0;
+                break;
+            }
+
+            if (contact.type === CONTACT_TYPES.LEDGE_STEP_UP) {
+                box.y = hit.platform.y - box.height;
+                moveY = 0;
+            }
+
+            // Slide along the surface with the remaining movement
+            moveX = hit.normalX !== 0 && contact.type !== CONTACT_TYPES.LEDGE_STEP_UP ? 0 : moveX * remaining;
+            moveY = hit.normalY !== 0 ? 0 : moveY * remaining;
+        }
+
+        body.x = box.x;
+        body.y = box.y;
+        return contacts;
+    }
+
+    /**
+     * Find earliest platform hit along a movement vector
+     */
+    findFirstHit(box, moveX, moveY) {
+        const left = Math.min(box.x, box.x + moveX);
+        const right = Math.max(box.x, box.x + moveX) + box.width;
+        const candidates = this.broadphase.query(left, right);
+
+        let first = null;
+        candidates.forEach(platform => {
+            const hit = sweepAABB(box, moveX, moveY, platform);
+            if (hit && (!first || hit.time < first.time)) {
+                first = hit;
+            }
+        });
+        return first;
+    }
+
+    /**
+     * Turn a raw hit into a gameplay contact
+     */
+    classifyContact(box, body, hit) {
+        const platform = hit.platform;
+        let type;
+
+        if (hit.normalY < 0) {
+            type = CONTACT_TYPES.LANDED;
+        } else if (hit.normalY > 0) {
+            type = CONTACT_TYPES.CEILING;
+        } else {
+            // Side hit: small ledges are stepped onto, anything taller is fatal
+            const ledgeHeight = (box.y + box.height) - platform.y;
+            const canStepUp = ledgeHeight > 0 && ledgeHeight < box.height / 2 && body.dy >= 0;
+            type = canStepUp ? CONTACT_TYPES.LEDGE_STEP_UP : CONTACT_TYPES.SIDE_DEATH;
+        }
+
+        return {
+            type,
+            platform,
+            x: box.x,
+            y: type === CONTACT_TYPES.LEDGE_STEP_UP ? platform.y - box.height : box.y,
+            normalX: hit.normalX,
+            normalY: hit.normalY
+        };
+    }
+
+    /**
+     * Get contacts from the last tick
+     */
+    getContacts() {
+        return this.contacts;
+    }
+}
+
+/**
+ * Swept AABB test of a moving box against a static box
+ * Returns time of impact in [0, 1] and the surface normal, or null
+ */
+export function sweepAABB(box, moveX, moveY, target) {
+    let entryX, exitX, entryY, exitY;
+
+    if (moveX > 0) {
+        entryX = (target.x - (box.x + box.width)) / moveX;
+        exitX = (target.x + target.width - box.x) / moveX;
+    } else if (moveX < 0) {
+        entryX = (target.x + target.width - box.x) / moveX;
+        exitX = (target.x - (box.x + box.width)) / moveX;
+    } else if (box.x + box.width > target.x && box.x < target.x + target.width) {
+        entryX = -Infinity;
+        exitX = Infinity;
+    } else {
+        return null;
+    }
+
+    if (moveY > 0) {
+        entryY = (target.y - (box.y + box.height)) / moveY;
+        exitY = (target.y + target.height - box.y) / moveY;
+    } else if (moveY < 0) {
+        entryY = (target.y + target.height - box.y) / moveY;
+        exitY = (target.y - (box.y + box.height)) / moveY;
+    } else if (box.y + box.height > target.y && box.y < target.y + target.height) {
+        entryY = -Infinity;
+        exitY = Infinity;
+    } else {
+        return null;
+    }
+
+    const entry = Math.max(entryX, entryY);
+    const exit = Math.min(exitX, exitY);
+
+    // Already overlapping on both axes, moving apart, or out of reach this tick
+    if (entry > exit || entry < -EPSILON || entry > 1) return null;
+
+    const hitOnX = entryX > entryY;
+    return {
+        time: Math.max(0, entry),
+        platform: target,
+        normalX: hitOnX ? -Math.sign(moveX) : 0,
+        normalY: hitOnX ? 0 : -Math.sign(moveY)
+    };
+}
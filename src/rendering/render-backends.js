@@ -0,0 +1,294 @@
+/**
+ * Render Backends Module
+ * Draw targets for the renderer: the browser's Canvas2D, or a recording backend that
+ * captures every draw call as plain data, so frames can be compared in Node without a browser
+ * Commands mirror the Canvas2D API; styles are set with style({ fillStyle, ... }) and
+ * gradients are plain descriptions created with linearGradient
+ */
+
+/**
+ * Base backend: every draw command goes through command(op, args)
+ */
+export class RenderBackend {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+    }
+
+    /**
+     * Send one draw command to the target (implemented by backends)
+     */
+    command(op, args) {
+        throw new Error(`${this.constructor.name} does not implement command "${op}"`);
+    }
+
+    /**
+     * Drop every layer created so far (after the renderer discarded them)
+     */
+    releaseLayers() {}
+
+    /**
+     * Describe a linear gradient; use it as fillStyle or strokeStyle
+     */
+    linearGradient(x0, y0, x1, y1, stops) {
+        return { gradient: 'linear', coords: [x0, y0, x1, y1], stops };
+    }
+
+    // Transform and state
+    save() { this.command('save', []); }
+    restore() { this.command('restore', []); }
+    translate(x, y) { this.command('translate', [x, y]); }
+    rotate(angle) { this.command('rotate', [angle]); }
+    scale(x, y) { this.command('scale', [x, y]); }
+    style(props) { this.command('style', [props]); }
+    setLineDash(segments) { this.command('setLineDash', [segments]); }
+
+    // Marks the start of a named part of the frame (background, player, ...)
+    section(name) { this.command('section', [name]); }
+
+    // Rectangles and text
+    clearRect(x, y, width, height) { this.command('clearRect', [x, y, width, height]); }
+    fillRect(x, y, width, height) { this.command('fillRect', [x, y, width, height]); }
+    strokeRect(x, y, width, height) { this.command('strokeRect', [x, y, width, height]); }
+    fillText(text, x, y) { this.command('fillText', [text, x, y]); }
+    strokeText(text, x, y) { this.command('strokeText', [text, x, y]); }
+
+    // Paths
+    beginPath() { this.command('beginPath', []); }
+    closePath() { this.command('closePath', []); }
+    moveTo(x, y) { this.command('moveTo', [x, y]); }
+    lineTo(x, y) { this.command('lineTo', [x, y]); }
+    rect(x, y, width, height) { this.command('rect', [x, y, width, height]); }
+    arc(x, y, radius, start, end) { this.command('arc', [x, y, radius, start, end]); }
+    ellipse(x, y, radiusX, radiusY, rotation, start, end) {
+        this.command('ellipse', [x, y, radiusX, radiusY, rotation, start, end]);
+    }
+    fill() { this.command('fill', []); }
+    stroke() { this.command('stroke', []); }
+}
+
+/**
+ * Browser backend drawing on a canvas element
+ */
+export class Canvas2DBackend extends RenderBackend {
+    constructor(canvas, pixelRatio = 1) {
+        super();
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.pixelRatio = pixelRatio;
+    }
+
+    /**
+     * Create a backend for the canvas with the given element id
+     */
+    static fromCanvasId(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            throw new Error(`Canvas #${canvasId} not found`);
+        }
+        return new Canvas2DBackend(canvas);
+    }
+
+    /**
+     * Match the backing store to the displayed size and the device pixel ratio
+     * Returns the viewport size in CSS pixels
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.width = Math.max(1, Math.round(rect.width));
+        this.height = Math.max(1, Math.round(rect.height));
+
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+
+        return { width: this.width, height: this.height };
+    }
+
+    /**
+     * Reset the transform to CSS pixels and clear the canvas
+     */
+    beginFrame() {
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Nothing to flush: Canvas2D draws immediately
+     */
+    endFrame() {}
+
+    command(op, args) {
+        this.ctx[op](...args);
+    }
+
+    section() {}
+
+    style(props) {
+        Object.keys(props).forEach(key => {
+            const value = props[key];
+            this.ctx[key] = value && value.gradient ? this.createGradient(value) : value;
+        });
+    }
+
+    /**
+     * Turn a gradient description into a CanvasGradient
+     */
+    createGradient({ coords, stops }) {
+        const gradient = this.ctx.createLinearGradient(...coords);
+        stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+        return gradient;
+    }
+
+    /**
+     * Create an offscreen layer of the given size (in CSS pixels / world units)
+     * Layers are rendered at device resolution and drawn back with drawLayer
+     * The name only matters to recording backends
+     */
+    createLayer(width, height, name = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * this.pixelRatio);
+        canvas.height = Math.ceil(height * this.pixelRatio);
+
+        const layer = new Canvas2DBackend(canvas, this.pixelRatio);
+        layer.width = width;
+        layer.height = height;
+        layer.ctx.scale(this.pixelRatio, this.pixelRatio);
+        return layer;
+    }
+
+    /**
+     * Draw a layer created by createLayer
+     */
+    drawLayer(layer, x, y, width, height) {
+        this.ctx.drawImage(layer.canvas, x, y, width, height);
+    }
+}
+
+/**
+ * Headless backend recording draw calls as [op, ...args] arrays
+ * Numbers are rounded so snapshots don't break on floating point noise
+ */
+export class RecordingBackend extends RenderBackend {
+    constructor(width = 960, height = 540, { precision = 3 } = {}) {
+        super();
+        this.width = width;
+        this.height = height;
+        this.precision = precision;
+        this.commands = [];
+        this.layers = new Map();
+        this.frames = 0;
+    }
+
+    /**
+     * Viewport size never changes
+     */
+    resize() {
+        return { width: this.width, height: this.height };
+    }
+
+    /**
+     * Start recording a new frame
+     */
+    beginFrame() {
+        this.commands = [];
+    }
+
+    /**
+     * Finish the current frame
+     */
+    endFrame() {
+        this.frames++;
+    }
+
+    command(op, args) {
+        this.commands.push([op, ...args.map(arg => this.normalize(arg))]);
+    }
+
+    /**
+     * Record numbers rounded, and copy arrays and objects so later changes don't leak into the frame
+     */
+    normalize(value) {
+        if (typeof value === 'number') {
+            const factor = 10 ** this.precision;
+            const rounded = Math.round(value * factor) / factor;
+            return Object.is(rounded, -0) ? 0 : rounded;
+        }
+        if (Array.isArray(value)) return value.map(item => this.normalize(item));
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = this.normalize(value[key]);
+            });
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Create a recorded layer; its commands are kept by id
+     * The id is the given name (e.g. "chunk-3"), so a frame records the same ids however many
+     * layers were created before it
+     */
+    createLayer(width, height, name = null) {
+        const layer = new RecordingBackend(width, height, { precision: this.precision });
+        layer.id = name !== null ? name : `layer-${this.layers.size}`;
+        this.layers.set(layer.id, layer);
+        return layer;
+    }
+
+    /**
+     * Forget all layers, so discarded ones don't pile up
+     */
+    releaseLayers() {
+        this.layers.clear();
+    }
+
+    drawLayer(layer, x, y, width, height) {
+        this.command('drawLayer', [layer.id, x, y, width, height]);
+    }
+
+    /**
+     * Get the last frame as plain data: its commands and those of the layers it drew
+     */
+    getFrame() {
+        const layers = {};
+        this.commands
+            .filter(([op]) => op === 'drawLayer')
+            .forEach(([, id]) => {
+                layers[id] = this.layers.get(id).commands;
+            });
+
+        return {
+            width: this.width,
+            height: this.height,
+            commands: this.commands,
+            layers
+        };
+    }
+
+    /**
+     * Get commands of the last frame recorded between two markers of the renderer (see Renderer.render)
+     */
+    getSection(name) {
+        const start = this.commands.findIndex(([op, value]) => op === 'section' && value === name);
+        if (start === -1) return [];
+        const end = this.commands.findIndex((command, index) => index > start && command[0] === 'section');
+        return this.commands.slice(start + 1, end === -1 ? undefined : end);
+    }
+
+    /**
+     * Serialize the last frame to JSON
+     */
+    serializeFrame() {
+        return JSON.stringify(this.getFrame());
+    }
+}
+
+/**
+ * Create the browser backend for a canvas element id
+ */
+export function createDefaultRenderBackend(canvasId = 'gameCanvas') {
+    return Canvas2DBackend.fromCanvasId(canvasId);
+}
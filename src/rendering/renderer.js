@@ -0,0 +1,612 @@
+/**
+ * Renderer Module
+ * Draws the game world: parallax background, platforms, teleport,
+ * collectibles, ghost, player and collection effects
+ * Platforms are static, so they are pre-rendered into offscreen chunk layers once per level
+ * All drawing goes through a render backend (see render-backends.js), so frames can be recorded headless
+ */
+
+import { SeededRandom } from '../utils/random.js';
+import { createDefaultRenderBackend } from './render-backends.js';
+
+// Width of a pre-rendered platform chunk (world units)
+const CHUNK_WIDTH = 1024;
+
+// Platform look
+const PLATFORM_COLOR = '#6d4c2f';
+const PLATFORM_EDGE_COLOR = '#4e3520';
+const GRASS_COLOR = '#27ae60';
+const CHECKPOINT_GRASS_COLOR = '#f1c40f';
+const GRASS_HEIGHT = 8;
+
+/**
+ * Background colors per level theme (hand-authored levels pick one, see level-format.js)
+ */
+export const PARALLAX_THEMES = {
+    day: {
+        sky: ['#1a2a6c', '#4a6fa5', '#b4c8e0'],
+        clouds: 'rgba(255, 255, 255, 0.5)',
+        distantMountains: '#5d6d7e',
+        mountains: '#34495e',
+        ground: '#1e5631',
+        bush: '#2d6a4f',
+        trunk: '#4a3728',
+        tree: '#1b4332'
+    },
+    dusk: {
+        sky: ['#2c1e4a', '#c0587e', '#f6b26b'],
+        clouds: 'rgba(255, 214, 186, 0.45)',
+        distantMountains: '#7a4e6e',
+        mountains: '#4b2e4f',
+        ground: '#2e3b2a',
+        bush: '#3e4a2f',
+        trunk: '#3b2a22',
+        tree: '#26301f'
+    },
+    night: {
+        sky: ['#05070f', '#111c3a', '#2a3a5e'],
+        clouds: 'rgba(200, 210, 255, 0.15)',
+        distantMountains: '#1f2a40',
+        mountains: '#141c2e',
+        ground: '#0d1f17',
+        bush: '#132b21',
+        trunk: '#1e1812',
+        tree: '#0a1a12'
+    }
+};
+
+// Background scenery repeats every this many screen pixels
+const SCENERY_PERIOD = 1600;
+
+// Fixed seed so the background looks the same in every session
+const SCENERY_SEED = 0x5ce7e;
+
+// Floating "+value" text
+const EFFECT_RISE = 40;
+const EFFECT_FONT = 'bold 16px sans-serif';
+
+export class Renderer {
+    constructor(backend = null) {
+        this.backend = backend;
+
+        // Viewport size in CSS pixels
+        this.width = 0;
+        this.height = 0;
+
+        // Pre-rendered platform chunks by chunk index, valid for one level
+        this.chunks = new Map();
+        this.chunkLevel = null;
+
+        this.scenery = createScenery(new SeededRandom(SCENERY_SEED));
+    }
+
+    /**
+     * Create the Canvas2D backend unless one was given (call resize afterwards to size it)
+     */
+    init(canvasId = 'gameCanvas') {
+        if (!this.backend) this.backend = createDefaultRenderBackend(canvasId);
+    }
+
+    /**
+     * Fit the backend to the displayed size (DPR-aware for Canvas2D)
+     * Returns the viewport size in CSS pixels (use it for Camera.init)
+     */
+    resize() {
+        const { width, height } = this.backend.resize();
+        this.width = width;
+        this.height = height;
+
+        // Chunks are rendered at device resolution
+        this.invalidatePlatforms();
+
+        return { width, height };
+    }
+
+    /**
+     * Drop pre-rendered platform chunks (after platform geometry changed)
+     */
+    invalidatePlatforms() {
+        this.chunks.clear();
+        this.chunkLevel = null;
+        if (this.backend) this.backend.releaseLayers();
+    }
+
+    /**
+     * Render one frame
+     * Alpha interpolates moving objects between the last two simulation ticks
+     */
+    render(camera, player, levelManager, collectibleManager, { alpha = 1, ghost = null } = {}) {
+        if (!this.backend) return;
+        const draw = this.backend;
+
+        draw.beginFrame();
+
+        draw.section('background');
+        this.drawBackground(camera, PARALLAX_THEMES[levelManager.getTheme()] || PARALLAX_THEMES.day);
+
+        draw.save();
+        this.applyCameraTransform(camera.getTransform(alpha));
+
+        draw.section('platforms');
+        this.drawPlatforms(camera, levelManager);
+        draw.section('teleport');
+        this.drawTeleport(levelManager);
+        draw.section('collectibles');
+        this.drawCollectibles(camera, collectibleManager);
+        draw.section('ghost');
+        if (ghost) this.drawGhost(ghost.getRenderData(camera, alpha));
+        draw.section('player');
+        this.drawPlayer(player.getRenderData(alpha));
+        draw.section('effects');
+        this.drawCollectionEffects(collectibleManager.getCollectionEffects());
+
+        draw.restore();
+        draw.endFrame();
+    }
+
+    /**
+     * Transform world coordinates to the screen: scale, then shake and rotate around the view center
+     */
+    applyCameraTransform({ x, y, scale, shakeX, shakeY, angle }) {
+        const draw = this.backend;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+
+        draw.translate(centerX + shakeX, centerY + shakeY);
+        draw.rotate(angle);
+        draw.translate(-centerX, -centerY);
+        draw.scale(scale, scale);
+        draw.translate(x, y);
+    }
+
+    /**
+     * Draw the parallax layers back to front
+     */
+    drawBackground(camera, theme) {
+        this.drawSky(theme.sky);
+        this.drawClouds(camera.getParallaxOffset('clouds'), theme.clouds);
+        this.drawRidge(this.scenery.distantMountains, camera.getParallaxOffset('distantMountains'), 0.55, theme.distantMountains);
+        this.drawRidge(this.scenery.mountains, camera.getParallaxOffset('mountains'), 0.7, theme.mountains);
+        this.drawTrees(camera.getParallaxOffset('treesAndBushes'), theme);
+    }
+
+    /**
+     * Sky gradient (does not move) from top, middle and horizon colors
+     */
+    drawSky([top, middle, horizon]) {
+        const draw = this.backend;
+        const gradient = draw.linearGradient(0, 0, 0, this.height, [
+            [0, top],
+            [0.6, middle],
+            [1, horizon]
+        ]);
+        draw.style({ fillStyle: gradient });
+        draw.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Soft clouds in the upper part of the sky
+     */
+    drawClouds(offset, color) {
+        const draw = this.backend;
+        draw.style({ fillStyle: color });
+
+        this.forEachRepeat(offset.x, (originX) => {
+            this.scenery.clouds.forEach(cloud => {
+                const x = originX + cloud.x;
+                const y = this.height * cloud.y - offset.y;
+                draw.beginPath();
+                cloud.puffs.forEach(puff => {
+                    draw.moveTo(x + puff.x + puff.radius, y + puff.y);
+                    draw.arc(x + puff.x, y + puff.y, puff.radius, 0, Math.PI * 2);
+                });
+                draw.fill();
+            });
+        });
+    }
+
+    /**
+     * Mountain ridge silhouette with its base at baseline (fraction of the view height)
+     */
+    drawRidge(points, offset, baseline, color) {
+        const draw = this.backend;
+        const baseY = this.height * baseline - offset.y;
+        draw.style({ fillStyle: color });
+
+        this.forEachRepeat(offset.x, (originX) => {
+            draw.beginPath();
+            draw.moveTo(originX, this.height);
+            points.forEach(point => draw.lineTo(originX + point.x, baseY - point.height));
+            draw.lineTo(originX + SCENERY_PERIOD, this.height);
+            draw.closePath();
+            draw.fill();
+        });
+    }
+
+    /**
+     * Row of trees and bushes along the bottom of the view
+     */
+    drawTrees(offset, theme) {
+        const draw = this.backend;
+        const groundY = this.height * 0.85 - offset.y;
+
+        draw.style({ fillStyle: theme.ground });
+        draw.fillRect(0, groundY, this.width, this.height - groundY);
+
+        this.forEachRepeat(offset.x, (originX) => {
+            this.scenery.trees.forEach(tree => {
+                const x = originX + tree.x;
+                if (tree.bush) {
+                    draw.style({ fillStyle: theme.bush });
+                    draw.beginPath();
+                    draw.arc(x, groundY, tree.size, Math.PI, 0);
+                    draw.fill();
+                    return;
+                }
+                draw.style({ fillStyle: theme.trunk });
+                draw.fillRect(x - tree.size * 0.1, groundY - tree.size * 0.6, tree.size * 0.2, tree.size * 0.6);
+                draw.style({ fillStyle: theme.tree });
+                draw.beginPath();
+                draw.moveTo(x - tree.size * 0.5, groundY - tree.size * 0.5);
+                draw.lineTo(x, groundY - tree.size * 1.8);
+                draw.lineTo(x + tree.size * 0.5, groundY - tree.size * 0.5);
+                draw.closePath();
+                draw.fill();
+            });
+        });
+    }
+
+    /**
+     * Call callback(originX) for every repetition of the scenery period covering the view
+     */
+    forEachRepeat(offsetX, callback) {
+        const start = -(((offsetX % SCENERY_PERIOD) + SCENERY_PERIOD) % SCENERY_PERIOD);
+        for (let originX = start; originX < this.width; originX += SCENERY_PERIOD) {
+            callback(originX);
+        }
+    }
+
+    /**
+     * Blit the pre-rendered chunks overlapping the camera bounds
+     */
+    drawPlatforms(camera, levelManager) {
+        const level = levelManager.getLevel();
+        if (!level) return;
+
+        // A new level (or restart) needs new chunks
+        if (this.chunkLevel !== level) {
+            this.invalidatePlatforms();
+            this.chunkLevel = level;
+        }
+
+        const bounds = camera.getBounds();
+        const first = Math.max(0, Math.floor(bounds.left / CHUNK_WIDTH));
+        const last = Math.floor(Math.min(bounds.right, level.bounds.right) / CHUNK_WIDTH);
+
+        for (let index = first; index <= last; index++) {
+            const chunk = this.getChunk(index, levelManager);
+            if (chunk) {
+                this.backend.drawLayer(chunk.layer, chunk.x, chunk.y, chunk.width, chunk.height);
+            }
+        }
+    }
+
+    /**
+     * Get a platform chunk, rendering it on first use
+     * Returns null for chunks without platforms
+     */
+    getChunk(index, levelManager) {
+        if (this.chunks.has(index)) return this.chunks.get(index);
+
+        const left = index * CHUNK_WIDTH;
+        const platforms = levelManager.getPlatformsInRange(left, left + CHUNK_WIDTH);
+        let chunk = null;
+
+        if (platforms.length > 0) {
+            const top = Math.min(...platforms.map(p => p.y));
+            const height = Math.max(...platforms.map(p => p.y + p.height)) - top;
+            const layer = this.backend.createLayer(CHUNK_WIDTH, height, `chunk-${index}`);
+            layer.translate(-left, -top);
+            platforms.forEach(platform => drawPlatform(layer, platform));
+
+            chunk = { layer, x: left, y: top, width: CHUNK_WIDTH, height };
+        }
+
+        this.chunks.set(index, chunk);
+        return chunk;
+    }
+
+    /**
+     * Draw the end-of-level teleport as a pulsing ring
+     */
+    drawTeleport(levelManager) {
+        const teleport = levelManager.getTeleport();
+        if (!teleport) return;
+
+        const draw = this.backend;
+        const phase = levelManager.getTeleportPhase();
+        const centerX = teleport.x + teleport.width / 2;
+        const centerY = teleport.y + teleport.height / 2;
+        const pulse = 1 + Math.sin(phase * 4) * 0.08;
+
+        draw.save();
+        draw.translate(centerX, centerY);
+        draw.scale(pulse, pulse);
+
+        draw.style({ shadowColor: '#9b59b6', shadowBlur: 25, fillStyle: 'rgba(142, 68, 173, 0.35)' });
+        draw.beginPath();
+        draw.ellipse(0, 0, teleport.width / 2, teleport.height / 2, 0, 0, Math.PI * 2);
+        draw.fill();
+
+        draw.style({ shadowBlur: 0, lineWidth: 4, strokeStyle: '#d2b4de', lineDashOffset: -phase * 40 });
+        draw.setLineDash([12, 8]);
+        draw.stroke();
+
+        draw.restore();
+    }
+
+    /**
+     * Draw active collectibles in view
+     */
+    drawCollectibles(camera, collectibleManager) {
+        collectibleManager.getVisibleCollectibles(camera.getBounds()).forEach(collectible => {
+            const data = collectible.getRenderData();
+            if (data.active) this.drawCollectible(data);
+        });
+    }
+
+    /**
+     * Draw one collectible with its bob, glow, pulse and rotation
+     */
+    drawCollectible({ x, y, size, color, rotation, glowIntensity, pulseEffect, type }) {
+        const draw = this.backend;
+        const scale = 1 + Math.max(0, pulseEffect) * 0.5;
+
+        draw.save();
+        draw.translate(x, y);
+        draw.rotate(rotation);
+        draw.scale(scale, scale);
+        draw.style({ shadowColor: color, shadowBlur: glowIntensity * size * 1.5, fillStyle: color });
+
+        switch (type) {
+            case 'pixel':
+                draw.fillRect(-size / 2, -size / 2, size, size);
+                break;
+            case 'gem':
+                draw.beginPath();
+                draw.moveTo(0, -size / 2);
+                draw.lineTo(size / 2, 0);
+                draw.lineTo(0, size / 2);
+                draw.lineTo(-size / 2, 0);
+                draw.closePath();
+                draw.fill();
+                break;
+            case 'star':
+                starPath(draw, size / 2, size / 4);
+                draw.fill();
+                break;
+            default:
+                draw.beginPath();
+                draw.arc(0, 0, size / 2, 0, Math.PI * 2);
+                draw.fill();
+                draw.style({ shadowBlur: 0, strokeStyle: 'rgba(255, 255, 255, 0.8)', lineWidth: 2 });
+                draw.beginPath();
+                draw.arc(0, 0, size / 4, 0, Math.PI * 2);
+                draw.stroke();
+        }
+
+        draw.restore();
+    }
+
+    /**
+     * Draw the ghost racer as a translucent outline of its form
+     */
+    drawGhost(data) {
+        if (!data || data.finished) return;
+
+        const draw = this.backend;
+        draw.save();
+        draw.style({ globalAlpha: data.opacity });
+        draw.translate(data.x + data.width / 2, data.y + data.height / 2);
+        draw.rotate(data.angle);
+        formPath(draw, data.form, data.width, data.height);
+        draw.style({ fillStyle: 'rgba(255, 255, 255, 0.4)' });
+        draw.fill();
+        draw.style({ strokeStyle: '#ffffff', lineWidth: 2 });
+        draw.stroke();
+        draw.restore();
+    }
+
+    /**
+     * Draw the player in its form's shape, or its explosion particles after death
+     */
+    drawPlayer(data) {
+        const draw = this.backend;
+
+        data.particles.forEach(particle => {
+            if (particle.life <= 0) return;
+            draw.save();
+            draw.style({ globalAlpha: Math.min(1, particle.life) });
+            draw.translate(particle.x + particle.width / 2, particle.y + particle.height / 2);
+            draw.rotate(particle.angle);
+            draw.style({ fillStyle: particle.color });
+            draw.fillRect(-particle.width / 2, -particle.height / 2, particle.width, particle.height);
+            draw.restore();
+        });
+
+        if (data.dead || data.scale <= 0) return;
+
+        const centerX = data.x + data.width / 2;
+        const centerY = data.y + data.height / 2;
+
+        // Magnet range
+        if (data.magnetRadius > 0) {
+            draw.save();
+            draw.style({ strokeStyle: 'rgba(46, 204, 113, 0.3)' });
+            draw.setLineDash([6, 6]);
+            draw.beginPath();
+            draw.arc(centerX, centerY, data.magnetRadius, 0, Math.PI * 2);
+            draw.stroke();
+            draw.restore();
+        }
+
+        draw.save();
+        draw.translate(centerX, centerY);
+        draw.rotate(data.angle);
+        draw.scale(data.scale, data.scale);
+
+        // Blink while invulnerable
+        if (data.invincible && Math.floor(data.animationFrame * 10) % 2 === 0) {
+            draw.style({ globalAlpha: 0.5 });
+        }
+
+        const flashing = data.flashTime > 0;
+        draw.style({
+            shadowColor: data.color,
+            shadowBlur: data.pulseEffect > 0 ? 20 * data.pulseEffect : 0,
+            fillStyle: flashing ? '#ffffff' : data.color
+        });
+        formPath(draw, data.form, data.width, data.height);
+        draw.fill();
+
+        draw.style({ shadowBlur: 0, strokeStyle: 'rgba(0, 0, 0, 0.35)', lineWidth: 2 });
+        draw.stroke();
+
+        draw.restore();
+    }
+
+    /**
+     * Draw floating "+points" text for recent collections, with the multiplier during a combo
+     * Effects start with a life of 1 and fade out as it runs down
+     */
+    drawCollectionEffects(effects) {
+        const draw = this.backend;
+        draw.save();
+        draw.style({ font: EFFECT_FONT, textAlign: 'center', textBaseline: 'middle' });
+
+        effects.forEach(effect => {
+            const life = Math.max(0, Math.min(1, effect.life));
+            draw.style({
+                globalAlpha: life,
+                fillStyle: effect.type === 'pixel' ? '#f1c40f' : '#ffffff',
+                strokeStyle: 'rgba(0, 0, 0, 0.6)',
+                lineWidth: 3
+            });
+
+            const text = effect.multiplier > 1 ? `+${effect.value} x${effect.multiplier}` : `+${effect.value}`;
+            const y = effect.y - (1 - life) * EFFECT_RISE;
+            draw.strokeText(text, effect.x, y);
+            draw.fillText(text, effect.x, y);
+        });
+
+        draw.restore();
+    }
+}
+
+/**
+ * Draw one platform: earth body with a grass top
+ */
+function drawPlatform(draw, platform) {
+    const { x, y, width, height } = platform;
+
+    draw.style({ fillStyle: PLATFORM_COLOR });
+    draw.fillRect(x, y, width, height);
+    draw.style({ strokeStyle: PLATFORM_EDGE_COLOR, lineWidth: 2 });
+    draw.strokeRect(x + 1, y + 1, width - 2, height - 2);
+
+    // Checkpoint platforms of hand-authored levels stand out by their grass
+    draw.style({ fillStyle: platform.checkpoint ? CHECKPOINT_GRASS_COLOR : GRASS_COLOR });
+    draw.fillRect(x, y, width, GRASS_HEIGHT);
+}
+
+/**
+ * Build the path of a player form centered on the origin
+ */
+function formPath(draw, form, width, height) {
+    draw.beginPath();
+    switch (form) {
+        case 'circle':
+            draw.arc(0, 0, Math.min(width, height) / 2, 0, Math.PI * 2);
+            break;
+        case 'triangle':
+            draw.moveTo(0, -height / 2);
+            draw.lineTo(width / 2, height / 2);
+            draw.lineTo(-width / 2, height / 2);
+            draw.closePath();
+            break;
+        case 'star':
+            starPath(draw, Math.min(width, height) / 2, Math.min(width, height) / 4);
+            break;
+        default:
+            draw.rect(-width / 2, -height / 2, width, height);
+    }
+}
+
+/**
+ * Build a five-pointed star path centered on the origin
+ */
+function starPath(draw, outerRadius, innerRadius) {
+    draw.beginPath();
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        draw.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    draw.closePath();
+}
+
+/**
+ * Generate background scenery for one repeat period
+ * Cloud and ridge heights are fractions/pixels relative to the view
+ */
+function createScenery(random) {
+    const clouds = [];
+    for (let i = 0; i < 6; i++) {
+        const puffs = [];
+        const count = random.int(3, 5);
+        for (let j = 0; j < count; j++) {
+            puffs.push({
+                x: j * 28 + random.range(-8, 8),
+                y: random.range(-10, 10),
+                radius: random.range(18, 32)
+            });
+        }
+        clouds.push({
+            x: (i + random.range(0, 0.6)) * (SCENERY_PERIOD / 6),
+            y: random.range(0.08, 0.35),
+            puffs
+        });
+    }
+
+    const trees = [];
+    for (let x = random.range(20, 80); x < SCENERY_PERIOD; x += random.range(60, 180)) {
+        trees.push({ x, size: random.range(20, 45), bush: random.chance(0.4) });
+    }
+
+    return {
+        clouds,
+        distantMountains: createRidge(random, 12, 60, 200),
+        mountains: createRidge(random, 8, 40, 160),
+        trees
+    };
+}
+
+/**
+ * Generate a ridge line whose ends match, so it tiles seamlessly
+ */
+function createRidge(random, peaks, minHeight, maxHeight) {
+    const points = [];
+    const step = SCENERY_PERIOD / (peaks * 2);
+    const edgeHeight = minHeight;
+
+    points.push({ x: 0, height: edgeHeight });
+    for (let i = 1; i < peaks * 2; i++) {
+        const peak = i % 2 === 1;
+        points.push({
+            x: i * step,
+            height: peak ? random.range(minHeight + 40, maxHeight) : random.range(minHeight, minHeight + 30)
+        });
+    }
+    points.push({ x: SCENERY_PERIOD, height: edgeHeight });
+    return points;
+}
@@ -0,0 +1,212 @@
+/**
+ * Ghost Module
+ * Records a per-tick track of the player and races it back as a translucent ghost
+ */
+
+export const GHOST_VERSION = 1;
+
+// How long a split delta stays on screen (seconds of level time)
+const SPLIT_DISPLAY_TIME = 2;
+
+/**
+ * Ghost Recorder
+ * Captures position, angle and form from Player.getRenderData() every tick
+ */
+export class GhostRecorder {
+    constructor() {
+        this.recording = false;
+        this.reset();
+    }
+
+    /**
+     * Clear recorded data
+     */
+    reset() {
+        this.header = null;
+        this.x = [];
+        this.y = [];
+        this.angle = [];
+        this.form = [];
+        this.forms = [];
+        this.formSizes = {};
+        this.splits = {};
+    }
+
+    /**
+     * Start recording a level run
+     */
+    begin(seed, level) {
+        this.reset();
+        this.recording = true;
+        this.header = { seed, level };
+    }
+
+    /**
+     * Capture one tick of player render data
+     * Platform id is the player's last safe platform; its first landing time becomes a split
+     */
+    capture(renderData, platformId, levelTime) {
+        if (!this.recording) return;
+
+        let formIndex = this.forms.indexOf(renderData.form);
+        if (formIndex === -1) {
+            formIndex = this.forms.push(renderData.form) - 1;
+            this.formSizes[renderData.form] = [renderData.width, renderData.height];
+        }
+
+        this.x.push(round(renderData.x));
+        this.y.push(round(renderData.y));
+        this.angle.push(round(renderData.angle));
+        this.form.push(formIndex);
+
+        if (platformId !== null && platformId !== undefined && this.splits[platformId] === undefined) {
+            this.splits[platformId] = round(levelTime);
+        }
+    }
+
+    /**
+     * Stop recording and get the ghost track
+     */
+    finish(totalTime) {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        return {
+            version: GHOST_VERSION,
+            ...this.header,
+            totalTime: round(totalTime),
+            forms: this.forms,
+            formSizes: this.formSizes,
+            frames: {
+                x: this.x,
+                y: this.y,
+                angle: this.angle,
+                form: this.form
+            },
+            splits: this.splits
+        };
+    }
+
+    /**
+     * Stop recording without building a track
+     */
+    cancel() {
+        this.recording = false;
+    }
+
+    /**
+     * Check if recording is in progress
+     */
+    isRecording() {
+        return this.recording;
+    }
+}
+
+/**
+ * Ghost Racer
+ * Plays a recorded track alongside the live player and tracks split deltas
+ */
+export class GhostRacer {
+    constructor(track) {
+        if (!track || track.version !== GHOST_VERSION) {
+            throw new Error(`Unsupported ghost track version: ${track && track.version}`);
+        }
+
+        this.track = track;
+        this.frameCount = track.frames.x.length;
+        this.tick = 0;
+        this.opacity = 0.35;
+
+        // Split timing against the live player
+        this.reachedSplits = new Set();
+        this.lastSplit = null;
+    }
+
+    /**
+     * Advance ghost to a simulation tick and compare splits
+     * Returns the new split if the live player reached a platform the ghost also reached
+     */
+    update(tick, platformId, levelTime) {
+        this.tick = tick;
+
+        if (this.lastSplit && levelTime - this.lastSplit.levelTime > SPLIT_DISPLAY_TIME) {
+            this.lastSplit = null;
+        }
+
+        if (platformId === null || platformId === undefined || this.reachedSplits.has(platformId)) {
+            return null;
+        }
+        this.reachedSplits.add(platformId);
+
+        const ghostTime = this.track.splits[platformId];
+        if (ghostTime === undefined) return null;
+
+        this.lastSplit = {
+            platformId,
+            levelTime,
+            ghostTime,
+            delta: levelTime - ghostTime
+        };
+        return this.lastSplit;
+    }
+
+    /**
+     * Get ghost frame after a number of simulated ticks (clamped to the track)
+     * Frame 0 is captured after the first tick
+     */
+    getFrame(tick) {
+        const index = Math.max(0, Math.min(tick - 1, this.frameCount - 1));
+        const frames = this.track.frames;
+        const form = this.track.forms[frames.form[index]];
+        const size = this.track.formSizes[form];
+
+        return {
+            x: frames.x[index],
+            y: frames.y[index],
+            angle: frames.angle[index],
+            form,
+            width: size[0],
+            height: size[1]
+        };
+    }
+
+    /**
+     * Get ghost data for rendering, or null when culled by the camera
+     * Alpha interpolates between the previous and current tick
+     */
+    getRenderData(camera, alpha = 1) {
+        if (this.frameCount === 0) return null;
+
+        const previous = this.getFrame(this.tick - 1);
+        const current = this.getFrame(this.tick);
+        const data = {
+            ...current,
+            x: previous.x + (current.x - previous.x) * alpha,
+            y: previous.y + (current.y - previous.y) * alpha,
+            angle: previous.angle + (current.angle - previous.angle) * alpha,
+            opacity: this.opacity,
+            finished: this.tick > this.frameCount
+        };
+
+        if (camera && !camera.isVisible(data)) return null;
+        return data;
+    }
+
+    /**
+     * Get the most recent split delta (null once it has faded)
+     */
+    getLastSplit() {
+        return this.lastSplit;
+    }
+
+    /**
+     * Get ghost's total level time
+     */
+    getTotalTime() {
+        return this.track.totalTime;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
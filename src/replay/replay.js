@@ -0,0 +1,236 @@
+/**
+ * Replay Module
+ * Records simulation inputs into a compact JSON replay and plays them back tick-exactly
+ */
+
+// Version 2: stats no longer carry the level start time (skipping the level banner desynced replays)
+// Version 3: jump releases are recorded (variable jump height, jump buffer and coyote time)
+// Version 4: the difficulty profile is recorded (it shapes level generation and player speed)
+export const REPLAY_VERSION = 4;
+
+// Compact codes for input actions stored in replays
+const ACTION_CODES = {
+    jump: 'j',
+    jumpRelease: 'r'
+};
+
+const CODE_ACTIONS = Object.fromEntries(
+    Object.entries(ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal data gives equal text
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Get FNV-1a checksum (8 hex chars) of game statistics
+ */
+export function checksumStats(stats) {
+    const text = stableStringify(stats);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Parse replay JSON text (or accept an already parsed object) and validate it
+ */
+export function parseReplay(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!replay || typeof replay !== 'object') {
+        throw new Error('Replay must be an object');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+    ['seed', 'level', 'stepRate', 'endTick'].forEach(field => {
+        if (!Number.isInteger(replay[field])) {
+            throw new Error(`Replay field "${field}" must be an integer`);
+        }
+    });
+    if (!replay.difficulty || typeof replay.difficulty !== 'object' || typeof replay.difficulty.id !== 'string') {
+        throw new Error('Replay field "difficulty" must be a difficulty profile');
+    }
+    if (replay.levelFile !== undefined && typeof replay.levelFile !== 'string') {
+        throw new Error('Replay field "levelFile" must be level file text');
+    }
+    if (!Array.isArray(replay.inputs) || !Array.isArray(replay.forms)) {
+        throw new Error('Replay inputs and forms must be arrays');
+    }
+    replay.inputs.forEach(([tick, code]) => {
+        if (!Number.isInteger(tick) || !CODE_ACTIONS[code]) {
+            throw new Error(`Invalid replay input: ${JSON.stringify([tick, code])}`);
+        }
+    });
+
+    return replay;
+}
+
+/**
+ * Serialize a replay to JSON text
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Replay Recorder
+ * Collects inputs and form changes of a single level run
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.header = null;
+        this.start = null;
+        this.inputs = [];
+        this.forms = [];
+    }
+
+    /**
+     * Start recording a level run
+     * Start is the GameState snapshot taken right after the level was loaded
+     * Difficulty is the full profile, so runs on custom profiles replay too
+     * Runs on hand-authored levels carry the level file text (see level-format.js)
+     */
+    begin({ seed, level, stepRate, difficulty, levelFile = null, start }) {
+        this.recording = true;
+        this.header = { seed, level, stepRate, difficulty };
+        if (levelFile !== null) this.header.levelFile = levelFile;
+        this.start = start;
+        this.inputs = [];
+        this.forms = [];
+    }
+
+    /**
+     * Record an input applied on a tick
+     */
+    recordInput(tick, action) {
+        if (!this.recording || !ACTION_CODES[action]) return;
+        this.inputs.push([tick, ACTION_CODES[action]]);
+    }
+
+    /**
+     * Record a player form change on a tick
+     */
+    recordFormChange(tick, form) {
+        if (!this.recording) return;
+        this.forms.push([tick, form]);
+    }
+
+    /**
+     * Build replay data up to a tick without stopping the recording
+     */
+    snapshot(endTick, finalStats) {
+        if (!this.header) return null;
+
+        return {
+            version: REPLAY_VERSION,
+            ...this.header,
+            start: this.start,
+            endTick,
+            inputs: this.inputs.slice(),
+            forms: this.forms.slice(),
+            checksum: checksumStats(finalStats)
+        };
+    }
+
+    /**
+     * Stop recording and get replay data
+     */
+    finish(endTick, finalStats) {
+        const replay = this.snapshot(endTick, finalStats);
+        this.recording = false;
+        return replay;
+    }
+
+    /**
+     * Stop recording without building a replay
+     */
+    cancel() {
+        this.recording = false;
+    }
+
+    /**
+     * Check if recording is in progress
+     */
+    isRecording() {
+        return this.recording;
+    }
+}
+
+/**
+ * Replay Player
+ * Input source for the simulation that feeds recorded inputs back on their ticks
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = parseReplay(replay);
+
+        // Group inputs by tick for constant-time lookup
+        this.inputsByTick = new Map();
+        this.replay.inputs.forEach(([tick, code]) => {
+            if (!this.inputsByTick.has(tick)) this.inputsByTick.set(tick, []);
+            this.inputsByTick.get(tick).push(CODE_ACTIONS[code]);
+        });
+
+        this.expectedForms = new Map(this.replay.forms.map(([tick, form]) => [tick, form]));
+        this.desyncs = [];
+    }
+
+    /**
+     * Get recorded input actions for a tick
+     */
+    getInputs(tick) {
+        return this.inputsByTick.get(tick) || [];
+    }
+
+    /**
+     * Compare a form change during playback against the recording
+     */
+    verifyFormChange(tick, form) {
+        if (this.expectedForms.get(tick) !== form) {
+            this.desyncs.push({ tick, expected: this.expectedForms.get(tick) || null, actual: form });
+        }
+    }
+
+    /**
+     * Check if playback reached the recorded end
+     */
+    isFinished(tick) {
+        return tick >= this.replay.endTick;
+    }
+
+    /**
+     * Compare final statistics against the recorded checksum
+     */
+    verify(finalStats) {
+        const actual = checksumStats(finalStats);
+        return {
+            ok: actual === this.replay.checksum && this.desyncs.length === 0,
+            expected: this.replay.checksum,
+            actual,
+            desyncs: this.desyncs.slice()
+        };
+    }
+
+    /**
+     * Get replay data
+     */
+    getReplay() {
+        return this.replay;
+    }
+}
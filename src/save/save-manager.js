@@ -0,0 +1,341 @@
+/**
+ * Save Manager Module
+ * Versioned persistence of progress, per-level records and settings
+ */
+
+import { createDefaultStorage } from './storage-adapters.js';
+import { MEDALS, isMedal, getBetterMedal } from '../levels/medals.js';
+import { DEFAULT_DIFFICULTY } from '../levels/difficulty.js';
+
+// Version 2: settings.difficulty (built-in profile id, or a custom profile object)
+// Version 3: level records keep the best medal of a single run
+// Version 4: level records are kept per difficulty, under "<difficulty id>:<level>" keys
+export const SAVE_VERSION = 4;
+export const SAVE_KEY = 'squarerun.save';
+
+// Level record keys: difficulty id, then level number
+const LEVEL_RECORD_KEY = /^(.+):([1-9]\d*)$/;
+
+/**
+ * Get the key of a level's record on a difficulty (the profile id, built-in or custom)
+ */
+export function getLevelRecordKey(level, difficulty) {
+    return `${difficulty}:${level}`;
+}
+
+/**
+ * Migrations from each old save version to the next one
+ * MIGRATIONS[n] receives version n data and must return version n + 1 data
+ */
+export const MIGRATIONS = {
+    1: (data) => ({
+        ...data,
+        version: 2,
+        settings: { ...data.settings, difficulty: 'normal' }
+    }),
+    // Older records only kept best time and pixels, which may come from different runs:
+    // the one medal sure to have been earned by a single run is bronze (any completion)
+    2: (data) => ({
+        ...data,
+        version: 3,
+        levels: Object.fromEntries(Object.entries(data.levels || {}).map(([level, record]) => [
+            level,
+            { ...record, medal: MEDALS.BRONZE }
+        ]))
+    }),
+    // Older records don't say which difficulty they were earned on: file them under the one the save was set to
+    3: (data) => {
+        const setting = data.settings ? data.settings.difficulty : undefined;
+        const difficulty = typeof setting === 'string' ? setting
+            : (isPlainObject(setting) && typeof setting.id === 'string' ? setting.id : DEFAULT_DIFFICULTY);
+        return {
+            ...data,
+            version: 4,
+            levels: Object.fromEntries(Object.entries(data.levels || {}).map(([level, record]) => [
+                getLevelRecordKey(level, difficulty),
+                record
+            ]))
+        };
+    }
+};
+
+/**
+ * Error thrown for unreadable or incompatible save data
+ */
+export class SaveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveError';
+    }
+}
+
+/**
+ * Get a fresh save
+ */
+export function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        progress: {
+            currentLevel: 1,
+            highestUnlockedLevel: 1,
+            score: 0,
+            totalDeaths: 0
+        },
+        levels: {},
+        settings: {
+            musicVolume: 0.8,
+            sfxVolume: 1.0,
+            showGhost: true,
+            keyBindings: null,
+            difficulty: 'normal'
+        }
+    };
+}
+
+/**
+ * Bring save data of any older version up to the current version
+ */
+export function migrateSave(data) {
+    if (!isPlainObject(data)) {
+        throw new SaveError('Save data must be an object');
+    }
+    if (!Number.isInteger(data.version)) {
+        throw new SaveError('Save data has no version');
+    }
+    if (data.version > SAVE_VERSION) {
+        throw new SaveError(`Save version ${data.version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    let migrated = data;
+    while (migrated.version < SAVE_VERSION) {
+        const migration = MIGRATIONS[migrated.version];
+        if (!migration) {
+            throw new SaveError(`No migration from save version ${migrated.version}`);
+        }
+        migrated = migration(migrated);
+    }
+
+    ['progress', 'levels', 'settings'].forEach(section => {
+        if (migrated[section] !== undefined && !isPlainObject(migrated[section])) {
+            throw new SaveError(`Save "${section}" must be an object`);
+        }
+    });
+
+    // Fill in fields added without a version bump
+    const defaults = createDefaultSave();
+    const save = {
+        ...defaults,
+        ...migrated,
+        progress: { ...defaults.progress, ...migrated.progress },
+        levels: { ...migrated.levels },
+        settings: { ...defaults.settings, ...migrated.settings }
+    };
+    validateSave(save);
+    return save;
+}
+
+/**
+ * Check the field types of current-version save data
+ * Throws SaveError on the first mismatch, so malformed imports never replace a good save
+ */
+function validateSave(save) {
+    const { progress, levels, settings } = save;
+
+    expectInteger(progress.currentLevel, 'progress.currentLevel', 1);
+    expectInteger(progress.highestUnlockedLevel, 'progress.highestUnlockedLevel', 1);
+    expectNumber(progress.score, 'progress.score', 0);
+    expectInteger(progress.totalDeaths, 'progress.totalDeaths', 0);
+
+    Object.keys(levels).forEach(key => {
+        const where = `levels.${key}`;
+        if (!LEVEL_RECORD_KEY.test(key)) {
+            throw new SaveError(`Save "${where}" is not a "<difficulty>:<level>" record key`);
+        }
+        const record = levels[key];
+        if (!isPlainObject(record)) {
+            throw new SaveError(`Save "${where}" must be an object`);
+        }
+        if (record.bestTime !== null) expectNumber(record.bestTime, `${where}.bestTime`, 0);
+        if (record.fewestDeaths !== null) expectInteger(record.fewestDeaths, `${where}.fewestDeaths`, 0);
+        expectInteger(record.bestPixels, `${where}.bestPixels`, 0);
+        expectInteger(record.totalPixels, `${where}.totalPixels`, 0);
+        expectInteger(record.completions, `${where}.completions`, 0);
+        if (record.bestPercentage !== undefined) expectNumber(record.bestPercentage, `${where}.bestPercentage`, 0);
+        if (typeof record.perfect !== 'boolean') {
+            throw new SaveError(`Save "${where}.perfect" must be true or false`);
+        }
+        if (!isMedal(record.medal)) {
+            throw new SaveError(`Save "${where}.medal" must be a medal`);
+        }
+    });
+
+    expectNumber(settings.musicVolume, 'settings.musicVolume', 0, 1);
+    expectNumber(settings.sfxVolume, 'settings.sfxVolume', 0, 1);
+    if (typeof settings.showGhost !== 'boolean') {
+        throw new SaveError('Save "settings.showGhost" must be true or false');
+    }
+    if (settings.keyBindings !== null && !isPlainObject(settings.keyBindings)) {
+        throw new SaveError('Save "settings.keyBindings" must be an object or null');
+    }
+    if (typeof settings.difficulty !== 'string' && !isPlainObject(settings.difficulty)) {
+        throw new SaveError('Save "settings.difficulty" must be a difficulty id or profile');
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expectNumber(value, field, min, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        throw new SaveError(`Save "${field}" must be a number ${range}`);
+    }
+}
+
+function expectInteger(value, field, min) {
+    if (!Number.isInteger(value) || value < min) {
+        throw new SaveError(`Save "${field}" must be an integer of at least ${min}`);
+    }
+}
+
+export class SaveManager {
+    constructor(storage = createDefaultStorage(), key = SAVE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.data = createDefaultSave();
+    }
+
+    /**
+     * Load save from storage (a fresh save if missing or unreadable)
+     */
+    load() {
+        try {
+            const text = this.storage.getItem(this.key);
+            this.data = text ? migrateSave(JSON.parse(text)) : createDefaultSave();
+        } catch (error) {
+            console.warn('Failed to load save, starting fresh:', error);
+            this.data = createDefaultSave();
+        }
+        return this.data;
+    }
+
+    /**
+     * Write save to storage
+     */
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.warn('Failed to write save:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get save data
+     */
+    getData() {
+        return this.data;
+    }
+
+    /**
+     * Get overall progress
+     */
+    getProgress() {
+        return this.data.progress;
+    }
+
+    /**
+     * Update overall progress
+     */
+    setProgress(progress) {
+        this.data.progress = { ...this.data.progress, ...progress };
+    }
+
+    /**
+     * Get record for a level on a difficulty (null if never completed on it)
+     */
+    getLevelRecord(level, difficulty) {
+        return this.data.levels[getLevelRecordKey(level, difficulty)] || null;
+    }
+
+    /**
+     * Merge a completed level run into that level's record on a difficulty and unlock the next level
+     * The record keeps the best medal a single run earned (result.medal, see medals.js)
+     */
+    recordLevelResult(level, difficulty, result) {
+        const previous = this.getLevelRecord(level, difficulty);
+        const record = previous ? { ...previous } : {
+            bestTime: null,
+            bestPixels: 0,
+            totalPixels: 0,
+            bestPercentage: 0,
+            fewestDeaths: null,
+            perfect: false,
+            medal: MEDALS.NONE,
+            completions: 0
+        };
+
+        record.bestTime = record.bestTime === null ? result.time : Math.min(record.bestTime, result.time);
+        record.bestPixels = Math.max(record.bestPixels, result.pixels);
+        record.totalPixels = result.totalPixels;
+        record.bestPercentage = Math.max(record.bestPercentage || 0, result.percentage || 0);
+        record.fewestDeaths = record.fewestDeaths === null ? result.deaths : Math.min(record.fewestDeaths, result.deaths);
+        record.perfect = record.perfect || result.perfect;
+        record.medal = getBetterMedal(record.medal, result.medal || MEDALS.NONE);
+        record.completions++;
+
+        this.data.levels[getLevelRecordKey(level, difficulty)] = record;
+        this.data.progress.highestUnlockedLevel = Math.max(this.data.progress.highestUnlockedLevel, level + 1);
+        return record;
+    }
+
+    /**
+     * Get settings
+     */
+    getSettings() {
+        return this.data.settings;
+    }
+
+    /**
+     * Update settings
+     */
+    updateSettings(settings) {
+        this.data.settings = { ...this.data.settings, ...settings };
+        this.save();
+    }
+
+    /**
+     * Export save as a JSON string (for moving between devices)
+     */
+    exportSave() {
+        return JSON.stringify(this.data);
+    }
+
+    /**
+     * Import a save exported from another device
+     * Throws SaveError if the text is not a valid save
+     */
+    importSave(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new SaveError(`Save is not valid JSON: ${error.message}`);
+        }
+
+        this.data = migrateSave(parsed);
+        this.save();
+        return this.data;
+    }
+
+    /**
+     * Wipe save data
+     */
+    reset() {
+        this.data = createDefaultSave();
+        this.storage.removeItem(this.key);
+    }
+}
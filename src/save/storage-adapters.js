@@ -0,0 +1,115 @@
+/**
+ * Storage Adapters Module
+ * Key/value storage backends for the save system
+ * Every adapter implements getItem(key), setItem(key, value) and removeItem(key) with string values
+ */
+
+/**
+ * Browser localStorage backend
+ */
+export class LocalStorageAdapter {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Check if localStorage can actually be written (private mode, disabled storage)
+     */
+    static isAvailable(storage = globalThis.localStorage) {
+        try {
+            const probe = '__squarerun_probe__';
+            storage.setItem(probe, probe);
+            storage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * In-memory backend (tests, or browsers without storage)
+ */
+export class MemoryStorageAdapter {
+    constructor(initial = {}) {
+        this.items = new Map(Object.entries(initial));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * File backend for Node: all keys live in one JSON file
+ * Takes the fs module as a parameter so this file stays importable in the browser
+ */
+export class FileStorageAdapter {
+    constructor(filePath, fs) {
+        this.filePath = filePath;
+        this.fs = fs;
+    }
+
+    /**
+     * Read all stored items
+     */
+    readAll() {
+        if (!this.fs.existsSync(this.filePath)) return {};
+        const text = this.fs.readFileSync(this.filePath, 'utf8');
+        return text.trim() ? JSON.parse(text) : {};
+    }
+
+    /**
+     * Write all stored items
+     */
+    writeAll(items) {
+        this.fs.writeFileSync(this.filePath, JSON.stringify(items, null, 2));
+    }
+
+    getItem(key) {
+        const items = this.readAll();
+        return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+    }
+
+    setItem(key, value) {
+        const items = this.readAll();
+        items[key] = String(value);
+        this.writeAll(items);
+    }
+
+    removeItem(key) {
+        const items = this.readAll();
+        delete items[key];
+        this.writeAll(items);
+    }
+}
+
+/**
+ * Get the best available storage for the current environment
+ */
+export function createDefaultStorage() {
+    if (typeof globalThis.localStorage !== 'undefined' && LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter();
+    }
+    return new MemoryStorageAdapter();
+}
@@ -0,0 +1,155 @@
+/**
+ * Level Select Module
+ * Grid of levels with unlock state, records and medals, driven by saved progress
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+import { getLevelRecordKey } from '../save/save-manager.js';
+
+// Minimum number of level cards shown (locked ones included)
+const MIN_LEVELS_SHOWN = 10;
+
+// Locked levels shown past the highest unlocked one
+const LOCKED_PREVIEW = 3;
+
+const MEDAL_LABELS = {
+    gold: 'Gold',
+    silver: 'Silver',
+    bronze: 'Bronze'
+};
+
+/**
+ * Build level select entries from save data, with the records earned on a difficulty (profile id)
+ * getLevelInfo(level) must return { totalPixels }; medals come from the records (best single run)
+ */
+export function buildLevelEntries(saveData, getLevelInfo, difficulty) {
+    const highestUnlocked = saveData.progress.highestUnlockedLevel;
+    const count = Math.max(MIN_LEVELS_SHOWN, highestUnlocked + LOCKED_PREVIEW);
+    const entries = [];
+
+    for (let level = 1; level <= count; level++) {
+        const record = saveData.levels[getLevelRecordKey(level, difficulty)] || null;
+        const unlocked = level <= highestUnlocked;
+        const info = unlocked ? getLevelInfo(level) : null;
+
+        entries.push({
+            level,
+            unlocked,
+            completed: Boolean(record),
+            bestTime: record ? record.bestTime : null,
+            bestPixels: record ? record.bestPixels : 0,
+            totalPixels: record ? record.totalPixels : (info ? info.totalPixels : 0),
+            percentage: record ? record.bestPercentage || 0 : 0,
+            deaths: record ? record.fewestDeaths : null,
+            medal: record ? record.medal : null
+        });
+    }
+
+    return entries;
+}
+
+export class LevelSelect extends EventEmitter {
+    constructor() {
+        super();
+        this.menu = null;
+        this.grid = null;
+        this.mainMenu = null;
+    }
+
+    /**
+     * Find DOM elements and wire buttons
+     */
+    init() {
+        this.menu = document.getElementById('level-select-menu');
+        this.grid = document.getElementById('level-grid');
+        this.mainMenu = document.getElementById('main-menu');
+
+        const openButton = document.getElementById('level-select-button');
+        const backButton = document.getElementById('level-select-back-button');
+
+        if (openButton) openButton.addEventListener('click', () => this.emit('open'));
+        if (backButton) backButton.addEventListener('click', () => this.back());
+
+        if (this.grid) {
+            this.grid.addEventListener('click', (event) => {
+                const card = event.target.closest('[data-level]');
+                if (!card || card.disabled) return;
+                this.hide();
+                this.emit('select', Number(card.dataset.level));
+            });
+        }
+    }
+
+    /**
+     * Show level select with the given entries
+     */
+    show(entries) {
+        if (!this.menu || !this.grid) return;
+
+        this.grid.innerHTML = '';
+        entries.forEach(entry => this.grid.appendChild(this.createCard(entry)));
+
+        if (this.mainMenu) this.mainMenu.classList.add('hidden');
+        this.menu.classList.remove('hidden');
+
+        const firstUnlocked = this.grid.querySelector('button:not([disabled])');
+        if (firstUnlocked) firstUnlocked.focus();
+    }
+
+    /**
+     * Hide level select
+     */
+    hide() {
+        if (this.menu) this.menu.classList.add('hidden');
+    }
+
+    /**
+     * Return to the main menu
+     */
+    back() {
+        this.hide();
+        if (this.mainMenu) this.mainMenu.classList.remove('hidden');
+        this.emit('back');
+    }
+
+    /**
+     * Create a level card button
+     */
+    createCard(entry) {
+        const card = document.createElement('button');
+        card.className = 'level-card';
+        card.dataset.level = entry.level;
+        card.disabled = !entry.unlocked;
+        if (entry.medal) card.classList.add(`medal-${entry.medal}`);
+
+        const title = document.createElement('span');
+        title.className = 'level-card-title';
+        title.textContent = `Level ${entry.level}`;
+        card.appendChild(title);
+
+        const details = document.createElement('span');
+        details.className = 'level-card-details';
+        if (!entry.unlocked) {
+            details.textContent = 'Locked';
+        } else if (!entry.completed) {
+            details.textContent = `Pixels: 0 / ${entry.totalPixels}`;
+        } else {
+            details.innerHTML = [
+                `Best: ${entry.bestTime.toFixed(1)}s`,
+                `Pixels: ${entry.bestPixels} / ${entry.totalPixels} (${Math.round(entry.percentage)}%)`,
+                `Deaths: ${entry.deaths}`
+            ].join('<br>');
+        }
+        card.appendChild(details);
+
+        if (entry.medal) {
+            const medal = document.createElement('span');
+            medal.className = 'level-card-medal';
+            medal.textContent = MEDAL_LABELS[entry.medal];
+            card.appendChild(medal);
+        }
+
+        card.setAttribute('aria-label', `Level ${entry.level}${entry.unlocked ? '' : ' (locked)'}`);
+        return card;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Level Transition Module
+ * Fade overlay, level start banner and level end statistics around the portal sequence
+ * Everything is derived from the game state clock, so the sequence pauses with the game
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+
+// Seconds of fade-out at the end of the portal animation and of fade-in at level start
+const FADE_DURATION = 0.4;
+
+export class LevelTransition extends EventEmitter {
+    constructor() {
+        super();
+        this.fadeOverlay = null;
+        this.banner = null;
+        this.bannerTitle = null;
+        this.bannerPixels = null;
+        this.stats = {};
+        this.bannerVisible = false;
+    }
+
+    /**
+     * Find DOM elements; clicking the banner skips it
+     */
+    init() {
+        this.fadeOverlay = document.getElementById('fade-overlay');
+        this.banner = document.getElementById('level-start-banner');
+        this.bannerTitle = document.getElementById('level-banner-title');
+        this.bannerPixels = document.getElementById('level-banner-pixels');
+        this.stats = {
+            title: document.getElementById('level-end-title'),
+            time: document.getElementById('level-time-stat'),
+            pixels: document.getElementById('level-pixels-stat'),
+            deaths: document.getElementById('level-deaths-stat'),
+            bonus: document.getElementById('level-bonus-stat')
+        };
+
+        if (this.banner) {
+            this.banner.addEventListener('click', () => this.emit('skip'));
+        }
+    }
+
+    /**
+     * Get fade overlay opacity (0 clear, 1 black) for the current state
+     */
+    getFadeOpacity(gameState) {
+        const states = gameState.states;
+        const state = gameState.isPaused() ? gameState.pausedFrom : gameState.getCurrentState();
+        const time = gameState.getStateTime();
+
+        switch (state) {
+            case states.ENTERING_PORTAL: {
+                const fadeStart = gameState.timings.enteringPortal - FADE_DURATION;
+                return clamp01((time - fadeStart) / FADE_DURATION);
+            }
+            case states.LEVEL_COMPLETE:
+                return 1;
+            case states.LEVEL_READY:
+                return 1 - clamp01(time / FADE_DURATION);
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Sync overlay and banner with the game state (call every frame)
+     */
+    update(gameState) {
+        if (this.fadeOverlay) {
+            this.fadeOverlay.style.opacity = this.getFadeOpacity(gameState);
+        }
+
+        const showBanner = gameState.isInState(gameState.states.LEVEL_READY);
+        if (showBanner !== this.bannerVisible) {
+            this.bannerVisible = showBanner;
+            if (showBanner) this.fillBanner(gameState);
+            if (this.banner) this.banner.classList.toggle('hidden', !showBanner);
+        }
+    }
+
+    /**
+     * Write "Level N - collect X pixels" into the banner
+     */
+    fillBanner(gameState) {
+        if (this.bannerTitle) {
+            this.bannerTitle.textContent = `Level ${gameState.getCurrentLevel()}`;
+        }
+        if (this.bannerPixels) {
+            this.bannerPixels.textContent = `Collect ${gameState.getTotalPixelsInLevel()} pixels`;
+        }
+    }
+
+    /**
+     * Fill the level end menu with a level result (see level-results.js)
+     */
+    showResults(result) {
+        const { title, time, pixels, deaths, bonus } = this.stats;
+        if (title) title.textContent = `Level ${result.level} Complete!`;
+        if (time) time.textContent = `${result.time.toFixed(1)}s`;
+        if (pixels) pixels.textContent = `${result.pixels} / ${result.totalPixels} (${Math.round(result.percentage)}%)`;
+        if (deaths) deaths.textContent = String(result.deaths);
+        if (bonus) {
+            bonus.textContent = `+${result.bonus.total}`;
+            bonus.classList.add('bonus-stat');
+        }
+    }
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
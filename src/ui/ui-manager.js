@@ -0,0 +1,270 @@
+/**
+ * UI Manager Module
+ * Menus, buttons and the in-game HUD
+ * Buttons raise events (play, difficulty, pause, resume, restart, nextLevel, mainMenu, exit) for the game to handle;
+ * open menus trap keyboard focus and can be navigated with Tab and the arrow keys
+ */
+
+import { EventEmitter } from '../utils/event-emitter.js';
+
+// Button ids and the event each one raises
+const BUTTON_EVENTS = {
+    'play-button': 'play',
+    'exit-button': 'exit',
+    'difficulty-button': 'difficulty',
+    'menu-icon': 'pause',
+    'resume-button': 'resume',
+    'restart-level-button': 'restart',
+    'exit-to-main-menu-pause-button': 'mainMenu',
+    'continue-button': 'nextLevel',
+    'replay-level-button': 'restart',
+    'exit-to-main-menu-end-button': 'mainMenu'
+};
+
+// Menu overlays, in the order they are checked for the open menu
+const MENU_IDS = [
+    'audio-start-overlay',
+    'exit-screen',
+    'level-end-menu',
+    'pause-menu',
+    'level-select-menu',
+    'main-menu'
+];
+
+const FOCUSABLE = 'button:not([disabled]), [tabindex="0"]';
+
+export class UIManager extends EventEmitter {
+    constructor({ levelSelect = null, levelTransition = null } = {}) {
+        super();
+        this.levelSelect = levelSelect;
+        this.levelTransition = levelTransition;
+
+        this.menus = {};
+        this.pauseOverlay = null;
+        this.hud = {};
+
+        // Last values written to the HUD (only changes touch the DOM)
+        this.hudValues = {};
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Find DOM elements, wire buttons and keyboard navigation
+     */
+    init() {
+        MENU_IDS.forEach(id => {
+            this.menus[id] = document.getElementById(id);
+        });
+        this.pauseOverlay = document.getElementById('pause-overlay');
+        this.hud = {
+            score: document.getElementById('score'),
+            level: document.getElementById('level'),
+            deaths: document.getElementById('deaths'),
+            combo: document.getElementById('combo')
+        };
+
+        Object.keys(BUTTON_EVENTS).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this.emit(BUTTON_EVENTS[id]));
+        });
+
+        // The first click or key press unlocks audio, then the main menu appears
+        const audioStart = this.menus['audio-start-overlay'];
+        if (audioStart) {
+            audioStart.addEventListener('click', () => this.startFromOverlay());
+            audioStart.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.startFromOverlay();
+                }
+            });
+            audioStart.focus();
+        }
+
+        if (this.levelSelect) {
+            this.levelSelect.init();
+            this.levelSelect.on('back', () => this.focusFirst(this.menus['main-menu']));
+        }
+        if (this.levelTransition) this.levelTransition.init();
+
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Leave the audio start overlay for the main menu
+     */
+    startFromOverlay() {
+        this.emit('audioStart');
+        this.showMainMenu();
+    }
+
+    /**
+     * Keep the HUD in sync with the game state and score system (call every frame)
+     * The combo counter is empty (and hidden) unless a combo of two or more items is running
+     */
+    updateHUD(gameState, scoring = null) {
+        this.setHUDText('score', `Score: ${gameState.getScore()}`);
+        this.setHUDText('level', `Level: ${gameState.getCurrentLevel()}`);
+        this.setHUDText('deaths', `Attempts: ${gameState.getLevelDeaths()}`);
+
+        const combo = scoring ? scoring.getCombo() : 0;
+        this.setHUDText('combo', combo > 1 ? `Combo ${combo} x${scoring.getMultiplier()}` : '');
+    }
+
+    /**
+     * Show the selected difficulty on its main menu button
+     */
+    setDifficultyLabel(name) {
+        const button = document.getElementById('difficulty-button');
+        if (button) button.textContent = `Difficulty: ${name}`;
+    }
+
+    /**
+     * Write HUD text if it changed
+     */
+    setHUDText(name, text) {
+        if (this.hudValues[name] === text || !this.hud[name]) return;
+        this.hudValues[name] = text;
+        this.hud[name].textContent = text;
+    }
+
+    /**
+     * Hide every menu and the pause overlay
+     */
+    hideAllMenus() {
+        Object.values(this.menus).forEach(menu => {
+            if (menu) menu.classList.add('hidden');
+        });
+        if (this.levelSelect) this.levelSelect.hide();
+        this.setPauseOverlay(false);
+    }
+
+    /**
+     * Show one menu (by id) on its own and focus its first button
+     */
+    showMenu(id) {
+        this.hideAllMenus();
+        const menu = this.menus[id];
+        if (!menu) return;
+        menu.classList.remove('hidden');
+        this.focusFirst(menu);
+    }
+
+    /**
+     * Show main menu
+     */
+    showMainMenu() {
+        this.showMenu('main-menu');
+    }
+
+    /**
+     * Show pause menu over the dimmed game
+     */
+    showPauseMenu() {
+        this.showMenu('pause-menu');
+        this.setPauseOverlay(true);
+    }
+
+    /**
+     * Show level complete menu, filled with the level result (see level-results.js)
+     */
+    showLevelCompleteMenu(result = null) {
+        if (result && this.levelTransition) this.levelTransition.showResults(result);
+        this.showMenu('level-end-menu');
+    }
+
+    /**
+     * The player respawns automatically, so death has no menu: close menus and refresh attempts
+     */
+    showDeathMenu(gameState = null) {
+        this.hideAllMenus();
+        if (gameState) this.updateHUD(gameState);
+    }
+
+    /**
+     * Show the screen displayed after exiting the game
+     */
+    showExitScreen() {
+        this.showMenu('exit-screen');
+    }
+
+    /**
+     * Dim the game behind the pause menu
+     */
+    setPauseOverlay(visible) {
+        if (this.pauseOverlay) this.pauseOverlay.style.opacity = visible ? 1 : 0;
+    }
+
+    /**
+     * Get the menu that is currently open (null during play)
+     */
+    getOpenMenu() {
+        return MENU_IDS.map(id => this.menus[id])
+            .find(menu => menu && !menu.classList.contains('hidden')) || null;
+    }
+
+    /**
+     * Get focusable elements of a menu, the menu itself if it is focusable
+     */
+    getFocusable(menu) {
+        const items = Array.from(menu.querySelectorAll(FOCUSABLE));
+        if (items.length === 0 && menu.getAttribute('tabindex') === '0') items.push(menu);
+        return items;
+    }
+
+    /**
+     * Focus the first focusable element of a menu
+     */
+    focusFirst(menu) {
+        if (!menu) return;
+        const items = this.getFocusable(menu);
+        if (items.length > 0) items[0].focus();
+    }
+
+    /**
+     * Trap Tab inside the open menu and move focus with the arrow keys, Home and End
+     */
+    handleKeyDown(event) {
+        const menu = this.getOpenMenu();
+        if (!menu) return;
+
+        const items = this.getFocusable(menu);
+        if (items.length === 0) return;
+
+        const index = items.indexOf(document.activeElement);
+        let next = null;
+
+        switch (event.key) {
+            case 'Tab':
+                next = index + (event.shiftKey ? -1 : 1);
+                break;
+            case 'ArrowDown':
+            case 'ArrowRight':
+                next = index + 1;
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                next = index - 1;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = items.length - 1;
+                break;
+            case 'Escape':
+                // Escape steps back out of level select; pause is handled by the input manager
+                if (this.levelSelect && menu === this.menus['level-select-menu']) {
+                    this.levelSelect.back();
+                }
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        const wrapped = (next + items.length) % items.length;
+        items[wrapped].focus();
+    }
+}
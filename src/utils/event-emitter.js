@@ -0,0 +1,38 @@
+/**
+ * Event Emitter Module
+ * Minimal on/off/emit base class for managers that raise events
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * Returns a function that removes the listener
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     */
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        this.listeners.set(event, callbacks.filter(cb => cb !== callback));
+    }
+
+    /**
+     * Call every listener of an event
+     */
+    emit(event, ...args) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+        callbacks.slice().forEach(callback => callback(...args));
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * Input Manager Module
+ * Maps keyboard, mouse, touch and gamepad input to game actions (jump, pause, fullscreen)
+ * Letting go of jump emits 'jumpRelease' (variable jump height)
+ * Presses are buffered and emitted once per simulation tick by flush(), so a tick sees each action at most once
+ */
+
+import { EventEmitter } from './event-emitter.js';
+
+// Actions the game reacts to
+export const INPUT_ACTIONS = ['jump', 'pause', 'fullscreen'];
+
+// Default keyboard bindings (KeyboardEvent.code values)
+export const DEFAULT_KEY_BINDINGS = {
+    jump: ['Space', 'ArrowUp', 'KeyW'],
+    pause: ['Escape', 'KeyP'],
+    fullscreen: ['KeyF']
+};
+
+// Gamepad buttons per action (standard mapping: 0 = A, 1 = B, 9 = Start)
+const GAMEPAD_BINDINGS = {
+    jump: [0, 1],
+    pause: [9]
+};
+
+// Mouse buttons per action (0 = left, 2 = right)
+const MOUSE_BINDINGS = {
+    0: 'jump',
+    2: 'pause'
+};
+
+// A second finger down within this time counts as a two-finger tap (ms)
+const TWO_FINGER_WINDOW = 250;
+
+export class InputManager extends EventEmitter {
+    constructor(target = null) {
+        super();
+        this.target = target;
+
+        this.keyBindings = cloneBindings(DEFAULT_KEY_BINDINGS);
+
+        // Actions pressed since the last flush
+        this.buffer = [];
+
+        // Browser default actions (context menu, scrolling, pinch zoom) are only blocked while playing
+        this.suppressDefaults = false;
+
+        // Touch tracking for two-finger taps
+        this.touches = new Map();
+
+        // Gamepad button states from the previous poll, by gamepad index
+        this.gamepadStates = new Map();
+
+        // Action waiting for its next key press to be rebound (see startRebind)
+        this.rebindAction = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+    }
+
+    /**
+     * Start listening; pointer input is taken from the game canvas
+     */
+    init(target = this.target || document.getElementById('gameCanvas')) {
+        this.target = target;
+
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('contextmenu', this.handleContextMenu);
+        window.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        if (this.target) {
+            this.target.addEventListener('pointerdown', this.handlePointerDown);
+            this.target.addEventListener('pointerup', this.handlePointerUp);
+            this.target.addEventListener('pointercancel', this.handlePointerUp);
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('contextmenu', this.handleContextMenu);
+        window.removeEventListener('touchmove', this.handleTouchMove);
+        if (this.target) {
+            this.target.removeEventListener('pointerdown', this.handlePointerDown);
+            this.target.removeEventListener('pointerup', this.handlePointerUp);
+            this.target.removeEventListener('pointercancel', this.handlePointerUp);
+        }
+    }
+
+    /**
+     * Block browser default actions (while playing) or let them through (menus)
+     */
+    setSuppressDefaults(suppress) {
+        this.suppressDefaults = suppress;
+        if (typeof document !== 'undefined') {
+            document.body.classList.toggle('input-captured', suppress);
+        }
+    }
+
+    /**
+     * Buffer an action for the next flush
+     */
+    press(action) {
+        this.buffer.push(action);
+    }
+
+    /**
+     * Emit buffered actions, each at most once, in the order they were first pressed
+     * Call once per simulation tick (and once per frame while the simulation is stopped)
+     */
+    flush() {
+        this.pollGamepads();
+
+        const actions = [...new Set(this.buffer)];
+        this.buffer = [];
+        actions.forEach(action => {
+            if (action === 'fullscreen') {
+                this.emit('fullscreen', !isFullscreen());
+            } else {
+                this.emit(action);
+            }
+        });
+    }
+
+    /**
+     * Drop buffered actions
+     */
+    clear() {
+        this.buffer = [];
+    }
+
+    /**
+     * Get the action bound to a key code (null if unbound)
+     */
+    getActionForKey(code) {
+        return INPUT_ACTIONS.find(action => this.keyBindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Keyboard: buffer bound keys, or bind the key to the action being rebound
+     */
+    handleKeyDown(event) {
+        if (this.rebindAction) {
+            event.preventDefault();
+            if (event.code !== 'Escape') {
+                this.rebind(this.rebindAction, [event.code]);
+            }
+            this.rebindAction = null;
+            return;
+        }
+
+        const action = this.getActionForKey(event.code);
+        if (!action) return;
+
+        if (this.suppressDefaults) event.preventDefault();
+        if (!event.repeat) this.press(action);
+    }
+
+    /**
+     * Letting go of a jump key releases the jump
+     */
+    handleKeyUp(event) {
+        if (this.getActionForKey(event.code) === 'jump') {
+            this.press('jumpRelease');
+        }
+    }
+
+    /**
+     * Mouse and touch on the canvas: buttons map to actions, a second finger toggles fullscreen
+     */
+    handlePointerDown(event) {
+        if (event.pointerType === 'touch') {
+            this.touches.set(event.pointerId, event.timeStamp);
+            if (this.touches.size === 2) {
+                const first = Math.min(...this.touches.values());
+                if (event.timeStamp - first <= TWO_FINGER_WINDOW) {
+                    // The first finger's jump was part of the gesture (if it has not reached a tick yet)
+                    this.buffer = this.buffer.filter(action => action !== 'jump');
+                    this.press('fullscreen');
+                    return;
+                }
+            }
+            if (this.touches.size === 1) this.press('jump');
+            return;
+        }
+
+        const action = MOUSE_BINDINGS[event.button];
+        if (!action) return;
+        if (this.suppressDefaults) event.preventDefault();
+        this.press(action);
+    }
+
+    /**
+     * Lifting the last finger or the left mouse button releases the jump
+     */
+    handlePointerUp(event) {
+        if (event.pointerType === 'touch') {
+            this.touches.delete(event.pointerId);
+            if (this.touches.size === 0) this.press('jumpRelease');
+            return;
+        }
+        if (MOUSE_BINDINGS[event.button] === 'jump') {
+            this.press('jumpRelease');
+        }
+    }
+
+    /**
+     * Right click pauses instead of opening the context menu while playing
+     */
+    handleContextMenu(event) {
+        if (this.suppressDefaults) event.preventDefault();
+    }
+
+    /**
+     * Block scrolling and pinch zoom while playing
+     */
+    handleTouchMove(event) {
+        if (this.suppressDefaults && event.cancelable) event.preventDefault();
+    }
+
+    /**
+     * Buffer gamepad buttons that went down since the last poll, and jump releases
+     */
+    pollGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+        Array.from(navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad) return;
+
+            const previous = this.gamepadStates.get(gamepad.index) || [];
+            const pressed = gamepad.buttons.map(button => button.pressed);
+
+            Object.keys(GAMEPAD_BINDINGS).forEach(action => {
+                const down = GAMEPAD_BINDINGS[action].some(index => pressed[index] && !previous[index]);
+                if (down) this.press(action);
+            });
+
+            const jumpHeld = buttons => GAMEPAD_BINDINGS.jump.some(index => buttons[index]);
+            if (jumpHeld(previous) && !jumpHeld(pressed)) {
+                this.press('jumpRelease');
+            }
+
+            this.gamepadStates.set(gamepad.index, pressed);
+        });
+    }
+
+    /**
+     * Get current key bindings
+     */
+    getKeyBindings() {
+        return cloneBindings(this.keyBindings);
+    }
+
+    /**
+     * Replace key bindings (e.g. from saved settings); unknown actions are ignored
+     * Actions missing from the given bindings keep their defaults
+     */
+    setKeyBindings(bindings) {
+        const next = cloneBindings(DEFAULT_KEY_BINDINGS);
+        Object.keys(bindings || {}).forEach(action => {
+            if (!INPUT_ACTIONS.includes(action)) {
+                console.warn(`Ignoring key bindings for unknown action: ${action}`);
+                return;
+            }
+            if (!Array.isArray(bindings[action]) || !bindings[action].every(code => typeof code === 'string')) {
+                console.warn(`Ignoring invalid key bindings for action: ${action}`);
+                return;
+            }
+            next[action] = [...bindings[action]];
+        });
+        this.keyBindings = next;
+    }
+
+    /**
+     * Bind keys to an action; the keys are removed from any other action
+     * Emits 'bindingsChanged' with the new bindings
+     */
+    rebind(action, codes) {
+        if (!INPUT_ACTIONS.includes(action)) {
+            console.warn(`Cannot rebind unknown action: ${action}`);
+            return;
+        }
+
+        INPUT_ACTIONS.forEach(other => {
+            this.keyBindings[other] = this.keyBindings[other].filter(code => !codes.includes(code));
+        });
+        this.keyBindings[action] = [...codes];
+        this.emit('bindingsChanged', this.getKeyBindings());
+    }
+
+    /**
+     * Bind the next key pressed to an action (Escape cancels)
+     */
+    startRebind(action) {
+        if (!INPUT_ACTIONS.includes(action)) {
+            console.warn(`Cannot rebind unknown action: ${action}`);
+            return;
+        }
+        this.rebindAction = action;
+    }
+
+    /**
+     * Restore default key bindings
+     */
+    resetKeyBindings() {
+        this.keyBindings = cloneBindings(DEFAULT_KEY_BINDINGS);
+        this.emit('bindingsChanged', this.getKeyBindings());
+    }
+}
+
+function cloneBindings(bindings) {
+    const copy = {};
+    Object.keys(bindings).forEach(action => {
+        copy[action] = [...bindings[action]];
+    });
+    return copy;
+}
+
+function isFullscreen() {
+    return typeof document !== 'undefined' && Boolean(document.fullscreenElement);
+}
@@ -0,0 +1,242 @@
+/**
+ * Located JSON Module
+ * Strict JSON parser that remembers the line and column of every value,
+ * so data files can report errors where they are (JSON.parse only reports a character offset)
+ */
+
+/**
+ * Error thrown for malformed JSON, with the 1-based line and column of the problem
+ */
+export class JSONSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'JSONSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Join path segments into a readable path: platforms[2].width
+ */
+export function formatPath(segments) {
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') return `[${segment}]`;
+        return index === 0 ? segment : `.${segment}`;
+    }).join('');
+}
+
+const ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t'
+};
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Parse JSON text
+ * Returns { value, locations } where locations maps a path ('' for the root, 'platforms[2].width')
+ * to the { line, column } where that value starts
+ * Throws JSONSyntaxError for malformed JSON and duplicate object keys
+ */
+export function parseLocatedJSON(text) {
+    const parser = new LocatedJSONParser(text);
+    return parser.parse();
+}
+
+class LocatedJSONParser {
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+        this.locations = new Map();
+
+        // Offsets where each line starts, for turning offsets into lines and columns
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    parse() {
+        this.skipWhitespace();
+        const value = this.parseValue([]);
+        this.skipWhitespace();
+        if (this.index < this.text.length) {
+            this.fail('Unexpected content after the end of the JSON value');
+        }
+        return { value, locations: this.locations };
+    }
+
+    /**
+     * Get the 1-based line and column of an offset
+     */
+    locate(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    fail(message, offset = this.index) {
+        const { line, column } = this.locate(offset);
+        throw new JSONSyntaxError(message, line, column);
+    }
+
+    skipWhitespace() {
+        while (this.index < this.text.length && ' \t\n\r'.includes(this.text[this.index])) {
+            this.index++;
+        }
+    }
+
+    parseValue(path) {
+        if (this.index >= this.text.length) {
+            this.fail('Unexpected end of input');
+        }
+
+        this.locations.set(formatPath(path), this.locate(this.index));
+
+        const char = this.text[this.index];
+        if (char === '{') return this.parseObject(path);
+        if (char === '[') return this.parseArray(path);
+        if (char === '"') return this.parseString();
+        if (char === '-' || (char >= '0' && char <= '9')) return this.parseNumber();
+        if (this.text.startsWith('true', this.index)) return this.parseLiteral('true', true);
+        if (this.text.startsWith('false', this.index)) return this.parseLiteral('false', false);
+        if (this.text.startsWith('null', this.index)) return this.parseLiteral('null', null);
+
+        this.fail(`Unexpected character ${JSON.stringify(char)}`);
+    }
+
+    parseObject(path) {
+        const object = {};
+        this.index++;
+        this.skipWhitespace();
+        if (this.text[this.index] === '}') {
+            this.index++;
+            return object;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.index] !== '"') {
+                this.fail('Expected a property name in double quotes');
+            }
+            const keyOffset = this.index;
+            const key = this.parseString();
+            if (Object.prototype.hasOwnProperty.call(object, key)) {
+                this.fail(`Duplicate property ${JSON.stringify(key)}`, keyOffset);
+            }
+
+            this.skipWhitespace();
+            this.expect(':');
+            this.skipWhitespace();
+            object[key] = this.parseValue([...path, key]);
+            this.skipWhitespace();
+
+            if (this.text[this.index] === ',') {
+                this.index++;
+                continue;
+            }
+            this.expect('}');
+            return object;
+        }
+    }
+
+    parseArray(path) {
+        const array = [];
+        this.index++;
+        this.skipWhitespace();
+        if (this.text[this.index] === ']') {
+            this.index++;
+            return array;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+            array.push(this.parseValue([...path, array.length]));
+            this.skipWhitespace();
+
+            if (this.text[this.index] === ',') {
+                this.index++;
+                continue;
+            }
+            this.expect(']');
+            return array;
+        }
+    }
+
+    parseString() {
+        const start = this.index;
+        this.index++;
+        let result = '';
+
+        while (this.index < this.text.length) {
+            const char = this.text[this.index];
+            if (char === '"') {
+                this.index++;
+                return result;
+            }
+            if (char === '\\') {
+                const escape = this.text[this.index + 1];
+                if (escape === 'u') {
+                    const hex = this.text.substr(this.index + 2, 4);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                        this.fail('Invalid unicode escape');
+                    }
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    this.index += 6;
+                    continue;
+                }
+                if (!(escape in ESCAPES)) {
+                    this.fail('Invalid escape sequence');
+                }
+                result += ESCAPES[escape];
+                this.index += 2;
+                continue;
+            }
+            if (char < ' ') {
+                this.fail('Control character in string');
+            }
+            result += char;
+            this.index++;
+        }
+
+        this.fail('Unterminated string', start);
+    }
+
+    parseNumber() {
+        NUMBER_PATTERN.lastIndex = this.index;
+        const match = NUMBER_PATTERN.exec(this.text);
+        if (!match) {
+            this.fail('Invalid number');
+        }
+        this.index += match[0].length;
+        return Number(match[0]);
+    }
+
+    parseLiteral(word, value) {
+        this.index += word.length;
+        return value;
+    }
+
+    expect(char) {
+        if (this.text[this.index] !== char) {
+            const found = this.index < this.text.length ? JSON.stringify(this.text[this.index]) : 'end of input';
+            this.fail(`Expected "${char}" but found ${found}`);
+        }
+        this.index++;
+    }
+}
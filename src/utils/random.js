@@ -0,0 +1,91 @@
+/**
+ * Random Module
+ * Seeded pseudo-random number generation for reproducible gameplay
+ */
+
+/**
+ * Mix any number of integers into a single 32-bit seed
+ */
+export function hashSeed(...values) {
+    let hash = 0x811c9dc5;
+    values.forEach(value => {
+        let n = Math.floor(Number(value) || 0) >>> 0;
+        for (let i = 0; i < 4; i++) {
+            hash ^= n & 0xff;
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+            n >>>= 8;
+        }
+    });
+    return hash >>> 0;
+}
+
+/**
+ * Seeded Random
+ * Mulberry32 generator: the same seed always yields the same sequence
+ */
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Return true with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element of an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Get current generator state (for snapshots)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore generator state from a snapshot
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Difficulty profile tests: built-in lookups, validation of custom profiles and special collectible odds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DifficultyError,
+    DIFFICULTY_PROFILES,
+    getDifficultyProfile,
+    parseDifficultyProfile,
+    resolveDifficulty
+} from '../src/levels/difficulty.js';
+import { generateLevel } from '../src/levels/level-generator.js';
+import { collectibleRegistry } from '../src/core/collectible-registry.js';
+
+test('only built-in ids name a profile', () => {
+    assert.equal(getDifficultyProfile('hard'), DIFFICULTY_PROFILES.hard);
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'insane'].forEach(id => {
+        assert.equal(getDifficultyProfile(id), null, id);
+    });
+    assert.equal(resolveDifficulty('constructor'), DIFFICULTY_PROFILES.normal);
+});
+
+test('a custom profile can only be based on a built-in profile', () => {
+    assert.equal(parseDifficultyProfile({ id: 'mine', base: 'easy' }).respawnAssist, 'easy');
+    ['toString', 'constructor', 'valueOf', 'insane'].forEach(base => {
+        assert.throws(
+            () => parseDifficultyProfile({ id: 'mine', base }),
+            (error) => error instanceof DifficultyError && /Unknown base difficulty/.test(error.message),
+            base
+        );
+    });
+});
+
+/**
+ * Generate a level with overridden parameters and list the special collectibles it picked
+ */
+function pickSpecials(parameters) {
+    const picks = [];
+    generateLevel(99, 3, {
+        parameters,
+        pickCollectibleType: (random, kind) => {
+            const type = collectibleRegistry.pickRandom(random, kind);
+            picks.push({ kind, type });
+            return type;
+        }
+    });
+    return picks;
+}
+
+test('power-ups spawn on their own chance, apart from scoring specials', () => {
+    const powerUps = pickSpecials({ powerUpChance: 1, specialChance: 0 });
+    assert.ok(powerUps.length > 0);
+    powerUps.forEach(({ kind, type }) => {
+        assert.equal(kind, 'powerUp');
+        assert.ok(collectibleRegistry.isPowerUp(type), type);
+    });
+
+    const scoring = pickSpecials({ powerUpChance: 0, specialChance: 1 });
+    assert.ok(scoring.length > 0);
+    scoring.forEach(({ kind, type }) => {
+        assert.equal(kind, 'score');
+        assert.ok(!collectibleRegistry.isPowerUp(type), type);
+    });
+
+    assert.deepEqual(pickSpecials({ powerUpChance: 0, specialChance: 0 }), []);
+});
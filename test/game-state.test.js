@@ -0,0 +1,89 @@
+/**
+ * Game state machine tests: the transition table, required reasons and timed transitions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState, GameStateError, STATE_TRANSITIONS } from '../src/core/game-state.js';
+
+const STEP = 1 / 120;
+
+/**
+ * Get a game state that went through the given states from the main menu
+ */
+function createState(...path) {
+    const state = new GameState();
+    path.forEach(name => state.setGameState(name));
+    return state;
+}
+
+function advance(state, seconds) {
+    for (let time = 0; time < seconds - 1e-9; time += STEP) {
+        state.update(STEP);
+    }
+}
+
+test('every transition missing from the table is rejected', () => {
+    const state = new GameState();
+    const names = Object.keys(STATE_TRANSITIONS);
+
+    names.forEach(from => {
+        names.forEach(to => {
+            if (STATE_TRANSITIONS[from].includes(to)) return;
+            state.currentState = from;
+            assert.equal(state.canTransition(to), false, `${from} -> ${to}`);
+            assert.throws(() => state.setGameState(to), GameStateError, `${from} -> ${to}`);
+            assert.equal(state.getCurrentState(), from);
+        });
+    });
+});
+
+test('illegal transitions run no hooks', () => {
+    const state = createState('levelReady', 'playing', 'levelComplete');
+    const calls = [];
+    state.onExit('levelComplete', () => calls.push('exit'));
+    state.onEnter('playing', () => calls.push('enter'));
+
+    assert.throws(() => state.setGameState('playing'), /Illegal game state transition from "levelComplete" to "playing"/);
+    assert.throws(() => state.setGameState('victory'), /Unknown game state "victory"/);
+    assert.equal(state.getCurrentState(), 'levelComplete');
+    assert.deepEqual(calls, []);
+});
+
+test('the main menu only leads into a level or out of the game', () => {
+    const state = new GameState();
+    assert.throws(() => state.setGameState('playing'), /Illegal game state transition from "mainMenu" to "playing"/);
+    assert.throws(() => state.setGameState('levelComplete'), GameStateError);
+    assert.equal(state.getCurrentState(), 'mainMenu');
+});
+
+test('dead only returns to playing through a respawn', () => {
+    const state = createState('levelReady', 'playing', 'dead');
+    assert.throws(() => state.setGameState('playing'), /only through respawn/);
+
+    state.setGameState('playing', 'respawn');
+    assert.equal(state.getCurrentState(), 'playing');
+});
+
+test('pause can only resume the state that was paused', () => {
+    const state = createState('levelReady', 'playing', 'dead', 'paused');
+    assert.throws(() => state.setGameState('playing', 'resume'), /can only resume "dead"/);
+    assert.throws(() => state.setGameState('playing'), /only through resume/);
+
+    state.resume();
+    assert.equal(state.getCurrentState(), 'dead');
+});
+
+test('timed transitions wait for simulation time and hold while paused', () => {
+    const state = createState('levelReady', 'playing', 'dead');
+    advance(state, state.timings.respawn / 2);
+    state.setGameState('paused');
+    advance(state, state.timings.respawn * 2);
+    assert.equal(state.getCurrentState(), 'paused');
+
+    state.resume();
+    advance(state, state.timings.respawn / 2 - STEP);
+    assert.equal(state.getCurrentState(), 'dead');
+    advance(state, STEP);
+    assert.equal(state.getCurrentState(), 'playing');
+});
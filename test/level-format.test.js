@@ -0,0 +1,140 @@
+/**
+ * Level file tests: located validation errors and the serializeLevel round trip
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLevelFile, serializeLevel, LevelFormatError, LEVEL_SCHEMA_VERSION } from '../src/levels/level-format.js';
+import { generateLevel } from '../src/levels/level-generator.js';
+
+const LEVEL_FILE = `{
+  "schemaVersion": 1,
+  "name": "Tutorial",
+  "theme": "dusk",
+  "spawn": { "x": 150, "y": 260 },
+  "platforms": [
+    { "id": 0, "x": 0, "y": 400, "width": 600, "height": 40, "checkpoint": true },
+    { "id": 1, "x": 720, "y": 380, "width": 300, "height": 40 }
+  ],
+  "collectibles": [
+    { "type": "pixel", "x": 300, "y": 355 }
+  ],
+  "teleport": { "x": 900, "y": 280 },
+  "formZones": [
+    { "x": 700, "width": 200, "form": "circle" }
+  ]
+}
+`;
+
+/**
+ * Parse a copy of LEVEL_FILE with one piece of text replaced, and return the error it throws
+ */
+function parseError(search, replacement) {
+    assert.ok(LEVEL_FILE.includes(search), search);
+    try {
+        parseLevelFile(LEVEL_FILE.replace(search, replacement), { forms: ['square', 'circle'] });
+    } catch (error) {
+        assert.ok(error instanceof LevelFormatError, error.message);
+        return error;
+    }
+    assert.fail(`"${replacement}" was accepted`);
+}
+
+/**
+ * Get the 1-based line and column where some text starts in LEVEL_FILE after a replacement
+ */
+function locate(search, replacement, text) {
+    const source = LEVEL_FILE.replace(search, replacement);
+    const offset = LEVEL_FILE.indexOf(search) + replacement.indexOf(text);
+    const before = source.slice(0, offset).split('\n');
+    return [before.length, before[before.length - 1].length + 1];
+}
+
+test('a valid level file is loaded with defaults filled in', () => {
+    const level = parseLevelFile(LEVEL_FILE);
+
+    assert.equal(level.name, 'Tutorial');
+    assert.equal(level.theme, 'dusk');
+    assert.equal(level.number, 1);
+    assert.deepEqual(level.checkpoints, [0]);
+    assert.deepEqual(level.teleport, { x: 900, y: 280, width: 60, height: 100 });
+    assert.deepEqual(level.formZones, [{ x: 700, width: 200, form: 'circle' }]);
+});
+
+test('errors report the line and column of the offending value', () => {
+    const cases = [
+        // [search, replacement, offending value, path, message]
+        ['"y": 380', '"y": "380"', '"380"', 'platforms[1].y', /Must be a number/],
+        ['"width": 300', '"width": -300', '-300', 'platforms[1].width', /Must be greater than 0/],
+        ['"checkpoint": true', '"checkpoint": "yes"', '"yes"', 'platforms[0].checkpoint', /Must be true or false/],
+        ['"type": "pixel"', '"type": "coin"', '"coin"', 'collectibles[0].type', /Unknown collectible type "coin"/],
+        ['"form": "circle"', '"form": "hexagon"', '"hexagon"', 'formZones[0].form', /Unknown form "hexagon"/],
+        ['"theme": "dusk"', '"theme": "noon"', '"noon"', 'theme', /Unknown theme "noon"/],
+        ['"id": 1,', '"id": 0,', '0', 'platforms[1].id', /Duplicate platform id 0/],
+        ['"schemaVersion": 1', '"schemaVersion": 9', '9', 'schemaVersion', /newer than supported/]
+    ];
+
+    cases.forEach(([search, replacement, value, path, message]) => {
+        const error = parseError(search, replacement);
+        const [line, column] = locate(search, replacement, value);
+        assert.equal(error.path, path, replacement);
+        assert.deepEqual([error.line, error.column], [line, column], replacement);
+        assert.match(error.message, message);
+        assert.ok(error.message.endsWith(`(line ${line}, column ${column})`), error.message);
+    });
+});
+
+test('unknown and missing properties are reported where they belong', () => {
+    const unknown = parseError('"x": 900,', '"x": 900, "z": 3,');
+    assert.equal(unknown.path, 'teleport.z');
+    assert.deepEqual([unknown.line, unknown.column], locate('"x": 900,', '"x": 900, "z": 3,', '3'));
+    assert.match(unknown.message, /Unknown property "z"/);
+
+    // A missing key has no location of its own, so the error points at the object that lacks it
+    const missing = parseError('"x": 720, ', '');
+    assert.equal(missing.path, 'platforms[1]');
+    assert.deepEqual([missing.line, missing.column], [8, 5]);
+    assert.match(missing.message, /Missing "x"/);
+});
+
+test('JSON syntax errors keep their line and column', () => {
+    const error = parseError('"height": 40 }\n  ],', '"height": 40 }\n  ]');
+    assert.equal(error.path, '');
+    assert.equal(error.line, 10);
+    assert.match(error.message, /^Invalid JSON: .*\(line 10, column \d+\)$/);
+});
+
+test('levels given as objects are validated without locations', () => {
+    assert.throws(
+        () => parseLevelFile({ schemaVersion: 1, spawn: { x: 0 } }),
+        (error) => error instanceof LevelFormatError && error.line === null && error.path === 'spawn' &&
+            /Missing "y"$/.test(error.message)
+    );
+});
+
+test('generated levels round-trip through serializeLevel', () => {
+    const generated = generateLevel(2024, 3, { pickCollectibleType: (random, kind) => (kind === 'powerUp' ? 'powerUp' : 'star') });
+    const text = serializeLevel(generated);
+    const level = parseLevelFile(text);
+
+    assert.equal(level.name, 'Level 3 (seed 2024)');
+    assert.equal(level.number, 3);
+    assert.equal(level.musicSeed, 2024);
+    assert.equal(level.levelSeed, generated.levelSeed);
+    assert.deepEqual(level.platforms, generated.platforms);
+    assert.deepEqual(level.collectibles, generated.collectibles);
+    assert.deepEqual(level.teleport, generated.teleport);
+    assert.deepEqual(level.spawn, generated.spawn);
+    assert.deepEqual(level.bounds, generated.bounds);
+    assert.equal(serializeLevel(level), text);
+});
+
+test('checkpoints, form zones and options survive serializing a loaded level', () => {
+    const level = parseLevelFile(LEVEL_FILE);
+    const reloaded = parseLevelFile(serializeLevel(level));
+    assert.deepEqual(reloaded, level);
+
+    const renamed = parseLevelFile(serializeLevel(level, { name: 'Copy', theme: 'night', musicSeed: 7 }));
+    assert.deepEqual([renamed.name, renamed.theme, renamed.musicSeed], ['Copy', 'night', 7]);
+    assert.deepEqual(renamed.platforms, level.platforms);
+});
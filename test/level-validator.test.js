@@ -0,0 +1,65 @@
+/**
+ * Level validator tests: hand-made levels with known reachable and unreachable items
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelValidator, describeIssue } from '../src/levels/level-validator.js';
+import { computeLevelBounds } from '../src/levels/level-generator.js';
+import { Player } from '../src/core/player.js';
+
+/**
+ * Build a level from platforms (id, x, y, width), collectibles and a teleport on the last platform
+ */
+function createLevel(platforms, collectibles) {
+    const full = platforms.map(([id, x, y, width]) => ({ id, x, y, width, height: 40 }));
+    const last = full[full.length - 1];
+    return {
+        platforms: full,
+        collectibles: collectibles.map(([x, y]) => ({ x, y, type: 'pixel' })),
+        teleport: { x: last.x + last.width - 140, y: last.y - 100, width: 60, height: 100 },
+        spawn: { x: 150, y: 260 },
+        bounds: computeLevelBounds(full)
+    };
+}
+
+function createValidator(formName = 'square') {
+    const player = new Player();
+    return new LevelValidator({ ...player.forms[formName], gravity: player.gravity });
+}
+
+test('a level with short gaps and low pixels is fully reachable', () => {
+    const level = createLevel(
+        [[0, 0, 400, 600], [1, 720, 380, 300], [2, 1140, 400, 400]],
+        [[660, 300], [870, 335], [1080, 300]]
+    );
+    const report = createValidator().validate(level);
+
+    assert.deepEqual(report.unreachable, []);
+    assert.equal(report.ok, true);
+    assert.equal(report.reachedPlatforms, 3);
+});
+
+test('items above the jump apex and platforms past the longest jump are reported', () => {
+    const level = createLevel(
+        [[0, 0, 400, 600], [1, 720, 400, 300], [2, 2000, 400, 400]],
+        [[870, 355], [870, 150]]
+    );
+    const report = createValidator().validate(level);
+
+    assert.equal(report.ok, false);
+    assert.equal(report.reachedPlatforms, 2);
+    assert.deepEqual(report.unreachable.map(({ kind, x, y }) => ({ kind, x, y })), [
+        { kind: 'platform', x: 2000, y: 400 },
+        { kind: 'collectible', x: 870, y: 150 },
+        { kind: 'teleport', x: 2260, y: 300 }
+    ]);
+    assert.match(describeIssue(report.unreachable[0]), /platform 2 at \(2000, 400\) cannot be reached/);
+});
+
+test('a gap the square cannot clear is reachable for the double-jumping star', () => {
+    const level = createLevel([[0, 0, 400, 600], [1, 1000, 400, 400]], []);
+
+    assert.equal(createValidator('square').validate(level).ok, false);
+    assert.equal(createValidator('star').validate(level).ok, true);
+});
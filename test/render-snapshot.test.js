@@ -0,0 +1,160 @@
+/**
+ * Headless rendering tests: frames recorded by RecordingBackend are compared as plain data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import { Renderer } from '../src/rendering/renderer.js';
+import { RecordingBackend } from '../src/rendering/render-backends.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { Player } from '../src/core/player.js';
+import { Camera } from '../src/core/camera.js';
+import { CollectibleManager } from '../src/core/collectibles.js';
+import { LevelManager } from '../src/levels/level-manager.js';
+import { GameState } from '../src/core/game-state.js';
+import { PhysicsEngine } from '../src/physics/physics-engine.js';
+import { Simulation } from '../src/core/simulation.js';
+
+// Golden frame of a seeded run; set UPDATE_FIXTURES=1 to rewrite it after an intended rendering change
+const GOLDEN_FRAME = new URL('./fixtures/simulated-frame.json', import.meta.url);
+const GOLDEN_SEED = 4321;
+const GOLDEN_TICKS = 900;
+
+/**
+ * Load a level and place the camera on the player, like Game.startLevel
+ */
+function createScene(form = 'square') {
+    const events = new EventBus();
+    const player = new Player(events);
+    const camera = new Camera(events);
+    const collectibleManager = new CollectibleManager(undefined, events);
+    const levelManager = new LevelManager(1234);
+    levelManager.init(player, collectibleManager);
+    levelManager.loadLevel(1);
+
+    player.reset();
+    player.changeForm(form);
+    player.snapInterpolation();
+
+    return { player, camera, collectibleManager, levelManager };
+}
+
+/**
+ * Step a seeded headless run of the first level with scripted jumps, like the replay tests do
+ */
+function simulateScene(seed, ticks) {
+    const events = new EventBus();
+    const gameState = new GameState(events);
+    const player = new Player(events);
+    const camera = new Camera(events);
+    const collectibleManager = new CollectibleManager(undefined, events);
+    const levelManager = new LevelManager(seed);
+    const physicsEngine = new PhysicsEngine();
+    levelManager.init(player, collectibleManager, gameState);
+    physicsEngine.init(player, levelManager);
+
+    const simulation = new Simulation({ player, collectibleManager, gameState, levelManager, physicsEngine, camera });
+    gameState.onEnter('playing', (context) => {
+        simulation.clearInputs();
+        if (context.reason === 'respawn') player.respawn();
+    });
+
+    levelManager.loadLevel(1);
+    player.reset();
+    player.setSpeed(levelManager.getPlayerSpeed());
+    camera.init(960, 540);
+    camera.follow(player);
+    camera.reset();
+    simulation.reset();
+    gameState.setGameState('levelReady');
+    gameState.setGameState('playing');
+
+    while (simulation.getTick() < ticks) {
+        if (!gameState.isActive()) {
+            gameState.update(simulation.stepSize);
+            continue;
+        }
+
+        const tick = simulation.getTick();
+        if (tick % 70 === 0) simulation.queueInput('jump');
+        if (tick % 70 === 20) simulation.queueInput('jumpRelease');
+        simulation.step();
+
+        if (player.isDead()) {
+            gameState.recordDeath(player.getSafePlatformId());
+            gameState.setGameState('dead');
+        }
+    }
+
+    return { player, camera, collectibleManager, levelManager };
+}
+
+function renderFrame(renderer, scene) {
+    const { width, height } = renderer.resize();
+    scene.camera.init(width, height);
+    scene.camera.follow(scene.player);
+    scene.camera.reset();
+    renderer.render(scene.camera, scene.player, scene.levelManager, scene.collectibleManager);
+    return renderer.backend;
+}
+
+test('circle form is drawn as a circle, square form as a rectangle', () => {
+    const circleScene = createScene('circle');
+    const circle = renderFrame(new Renderer(new RecordingBackend()), circleScene).getSection('player');
+    const square = renderFrame(new Renderer(new RecordingBackend()), createScene('square')).getSection('player');
+
+    const ops = (commands) => commands.map(([op]) => op);
+    const radius = circleScene.player.forms.circle.width / 2;
+    const circleBody = circle.find(([op, x, y, r]) => op === 'arc' && x === 0 && y === 0 && r === radius);
+    assert.ok(circleBody, 'circle player has an arc of half its size');
+    assert.ok(!ops(square).includes('arc'));
+    assert.ok(ops(square).includes('rect'));
+});
+
+test('the same scene records the same frame, whatever was rendered before', () => {
+    const fresh = renderFrame(new Renderer(new RecordingBackend()), createScene()).serializeFrame();
+
+    // A renderer that already went through other levels and chunk invalidations
+    const renderer = new Renderer(new RecordingBackend());
+    for (let level = 1; level <= 3; level++) {
+        const scene = createScene();
+        scene.levelManager.loadLevel(level);
+        renderFrame(renderer, scene);
+        renderer.invalidatePlatforms();
+    }
+    const reused = renderFrame(renderer, createScene()).serializeFrame();
+
+    assert.equal(reused, fresh);
+});
+
+test('discarded platform layers are released', () => {
+    const renderer = new Renderer(new RecordingBackend());
+    const scene = createScene();
+    renderFrame(renderer, scene);
+    const layerCount = renderer.backend.layers.size;
+    assert.ok(layerCount > 0);
+
+    for (let i = 0; i < 5; i++) {
+        scene.levelManager.restartLevel();
+        renderFrame(renderer, scene);
+    }
+    assert.equal(renderer.backend.layers.size, layerCount);
+    assert.deepEqual([...renderer.backend.layers.keys()].sort(), Object.keys(renderer.backend.getFrame().layers).sort());
+});
+
+test('a seeded simulation renders the committed golden frame', () => {
+    const scene = simulateScene(GOLDEN_SEED, GOLDEN_TICKS);
+    const renderer = new Renderer(new RecordingBackend());
+    renderer.resize();
+    renderer.render(scene.camera, scene.player, scene.levelManager, scene.collectibleManager);
+    const frame = renderer.backend.serializeFrame();
+
+    if (process.env.UPDATE_FIXTURES) {
+        fs.mkdirSync(new URL('./fixtures/', import.meta.url), { recursive: true });
+        fs.writeFileSync(GOLDEN_FRAME, `${JSON.stringify(JSON.parse(frame), null, 1)}\n`);
+    }
+
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_FRAME, 'utf8'));
+    assert.deepEqual(JSON.parse(frame), golden);
+});
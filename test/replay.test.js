@@ -0,0 +1,143 @@
+/**
+ * Replay tests: a recorded run must play back to the recorded checksum, and changed inputs must be caught
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayRecorder, ReplayPlayer, REPLAY_VERSION, serializeReplay } from '../src/replay/replay.js';
+import { parseDifficultyProfile } from '../src/levels/difficulty.js';
+import { Simulation } from '../src/core/simulation.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { GameState } from '../src/core/game-state.js';
+import { Player } from '../src/core/player.js';
+import { Camera } from '../src/core/camera.js';
+import { CollectibleManager } from '../src/core/collectibles.js';
+import { LevelManager } from '../src/levels/level-manager.js';
+import { PhysicsEngine } from '../src/physics/physics-engine.js';
+
+const SEED = 777;
+const TICKS = 2400;
+
+/**
+ * Wire the gameplay systems like Game does and load a level, without DOM, audio or rendering
+ */
+function createRun(seed, level, difficulty = null) {
+    const events = new EventBus();
+    const gameState = new GameState(events);
+    const player = new Player(events);
+    const camera = new Camera(events);
+    const collectibleManager = new CollectibleManager(undefined, events);
+    const levelManager = new LevelManager(seed);
+    const physicsEngine = new PhysicsEngine();
+    levelManager.init(player, collectibleManager, gameState);
+    physicsEngine.init(player, levelManager);
+    if (difficulty) levelManager.setDifficulty(difficulty);
+
+    const simulation = new Simulation({ player, collectibleManager, gameState, levelManager, physicsEngine, camera });
+    gameState.onEnter('playing', (context) => {
+        simulation.clearInputs();
+        if (context.reason === 'respawn') player.respawn();
+    });
+
+    levelManager.loadLevel(level);
+    player.reset();
+    player.setSpeed(levelManager.getPlayerSpeed());
+    simulation.reset();
+
+    return { gameState, player, levelManager, simulation };
+}
+
+/**
+ * Advance a run until its simulation reaches a tick (timed states run on the state clock in between)
+ * Script(tick) queues live inputs before a tick; replays feed theirs through the input source
+ */
+function runUntil({ gameState, player, simulation }, endTick, script = null) {
+    gameState.setGameState('levelReady');
+    gameState.setGameState('playing');
+
+    while (simulation.getTick() < endTick) {
+        if (!gameState.isActive()) {
+            gameState.update(simulation.stepSize);
+            continue;
+        }
+
+        if (script) script(simulation.getTick(), simulation);
+        simulation.step();
+
+        if (player.isDead()) {
+            gameState.recordDeath(player.getSafePlatformId());
+            gameState.setGameState('dead');
+        }
+    }
+}
+
+/**
+ * Record a scripted run of the first level
+ */
+function recordRun() {
+    const run = createRun(SEED, 1);
+    const recorder = new ReplayRecorder();
+    recorder.begin({
+        seed: SEED,
+        level: 1,
+        stepRate: run.simulation.stepRate,
+        difficulty: run.levelManager.getDifficulty(),
+        start: run.gameState.getSnapshot()
+    });
+    run.simulation.setRecorder(recorder);
+
+    runUntil(run, TICKS, (tick, simulation) => {
+        if (tick % 61 === 0) simulation.queueInput('jump');
+        if (tick % 61 === 12) simulation.queueInput('jumpRelease');
+    });
+    return recorder.finish(run.simulation.getTick(), run.gameState.getStats());
+}
+
+/**
+ * Play a replay back on a fresh run and verify it
+ */
+function playBack(data) {
+    const replayPlayer = new ReplayPlayer(data);
+    const replay = replayPlayer.getReplay();
+    const run = createRun(replay.seed, replay.level, parseDifficultyProfile(replay.difficulty));
+    run.gameState.restoreSnapshot(replay.start);
+    run.simulation.setInputSource(replayPlayer);
+
+    runUntil(run, replay.endTick);
+    return replayPlayer.verify(run.gameState.getStats());
+}
+
+test('a recorded run plays back to the recorded checksum', () => {
+    const replay = recordRun();
+    assert.ok(replay.inputs.length > 0);
+
+    const result = playBack(serializeReplay(replay));
+    assert.equal(result.actual, result.expected);
+    assert.deepEqual(result.desyncs, []);
+    assert.equal(result.ok, true);
+});
+
+test('playback with changed inputs is reported as a desync', () => {
+    const replay = recordRun();
+    const tampered = { ...replay, inputs: replay.inputs.filter((input, index) => index % 4 !== 1) };
+
+    const result = playBack(tampered);
+    assert.equal(result.ok, false);
+    assert.notEqual(result.actual, result.expected);
+});
+
+test('a replay with a wrong checksum is reported as a desync', () => {
+    const replay = recordRun();
+    const result = playBack({ ...replay, checksum: '00000000' });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.expected, '00000000');
+});
+
+test('replays of another version are rejected', () => {
+    const replay = recordRun();
+    assert.throws(
+        () => new ReplayPlayer({ ...replay, version: REPLAY_VERSION - 1 }),
+        /Unsupported replay version/
+    );
+});
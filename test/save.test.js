@@ -0,0 +1,157 @@
+/**
+ * Save system tests: migrations, version checks, import validation and storage round trips
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SaveManager, SaveError, SAVE_VERSION, MIGRATIONS, migrateSave, createDefaultSave } from '../src/save/save-manager.js';
+import { MemoryStorageAdapter, FileStorageAdapter } from '../src/save/storage-adapters.js';
+import { computeMedal, MEDALS } from '../src/levels/medals.js';
+
+// A save as written by version 1 (before difficulty settings)
+const VERSION_1_SAVE = {
+    version: 1,
+    progress: { currentLevel: 3, highestUnlockedLevel: 3, score: 1250, totalDeaths: 7 },
+    levels: {
+        1: { bestTime: 21.5, bestPixels: 30, totalPixels: 32, fewestDeaths: 1, perfect: false, completions: 2 },
+        2: { bestTime: 30.25, bestPixels: 41, totalPixels: 41, fewestDeaths: 0, perfect: true, completions: 1 }
+    },
+    settings: { musicVolume: 0.5, sfxVolume: 0.7, showGhost: false }
+};
+
+const RESULT = { time: 18.5, pixels: 40, totalPixels: 40, percentage: 100, deaths: 0, perfect: true };
+
+function createManager(storage = new MemoryStorageAdapter()) {
+    const manager = new SaveManager(storage);
+    manager.load();
+    return manager;
+}
+
+test('a version 1 save migrates to the current version', () => {
+    const save = migrateSave(VERSION_1_SAVE);
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.deepEqual(save.progress, VERSION_1_SAVE.progress);
+    assert.deepEqual(Object.keys(save.levels), ['normal:1', 'normal:2']);
+    assert.equal(save.levels['normal:2'].bestTime, 30.25);
+    assert.equal(save.levels['normal:2'].medal, 'bronze');
+    assert.equal(save.settings.difficulty, 'normal');
+    assert.equal(save.settings.musicVolume, 0.5);
+    assert.equal(save.settings.showGhost, false);
+    assert.equal(save.settings.keyBindings, null);
+});
+
+test('a stored version 1 save is migrated on load', () => {
+    const storage = new MemoryStorageAdapter({ 'squarerun.save': JSON.stringify(VERSION_1_SAVE) });
+    const manager = createManager(storage);
+
+    assert.equal(manager.getData().version, SAVE_VERSION);
+    assert.equal(manager.getProgress().score, 1250);
+});
+
+test('version 3 records move under the difficulty the save was set to', () => {
+    const levels = { 4: { ...VERSION_1_SAVE.levels[1], medal: 'silver' } };
+    const hard = MIGRATIONS[3]({ ...VERSION_1_SAVE, version: 3, levels, settings: { difficulty: 'hard' } });
+    assert.deepEqual(hard.levels, { 'hard:4': levels[4] });
+
+    const custom = MIGRATIONS[3]({ ...VERSION_1_SAVE, version: 3, levels, settings: { difficulty: { id: 'tuned' } } });
+    assert.deepEqual(Object.keys(custom.levels), ['tuned:4']);
+});
+
+test('saves newer than the supported version are rejected', () => {
+    assert.throws(
+        () => migrateSave({ ...createDefaultSave(), version: SAVE_VERSION + 1 }),
+        (error) => error instanceof SaveError && /newer than supported/.test(error.message)
+    );
+});
+
+test('malformed imports are rejected without touching the existing save', () => {
+    const storage = new MemoryStorageAdapter();
+    const manager = createManager(storage);
+    manager.recordLevelResult(1, 'normal', RESULT);
+    manager.save();
+
+    const data = structuredClone(manager.getData());
+    const stored = storage.getItem('squarerun.save');
+    const imports = [
+        '{ not json',
+        '[]',
+        JSON.stringify({ progress: {} }),
+        JSON.stringify({ ...createDefaultSave(), progress: { score: 'lots' } }),
+        JSON.stringify({ ...createDefaultSave(), levels: { 'normal:1': { bestTime: '20' } } }),
+        JSON.stringify({ ...createDefaultSave(), levels: { 'normal:first': {} } }),
+        JSON.stringify({ ...createDefaultSave(), levels: { 1: {} } }),
+        JSON.stringify({ ...createDefaultSave(), settings: { musicVolume: 4 } })
+    ];
+
+    imports.forEach(text => {
+        assert.throws(() => manager.importSave(text), SaveError, text);
+        assert.deepEqual(manager.getData(), data);
+        assert.equal(storage.getItem('squarerun.save'), stored);
+    });
+});
+
+test('level records keep the best medal earned by a single run', () => {
+    const manager = createManager();
+    const parTime = 20;
+    const run = (time, percentage) => {
+        const result = { time, pixels: percentage, totalPixels: 100, percentage, deaths: 0, perfect: true };
+        return { ...result, medal: computeMedal(result, parTime) };
+    };
+
+    // A fast run without pixels and a slow full clear never add up to gold
+    manager.recordLevelResult(1, 'normal', run(15, 0));
+    const record = manager.recordLevelResult(1, 'normal', run(40, 100));
+    assert.equal(record.bestTime, 15);
+    assert.equal(record.bestPercentage, 100);
+    assert.equal(record.medal, MEDALS.BRONZE);
+
+    assert.equal(manager.recordLevelResult(1, 'normal', run(21, 95)).medal, MEDALS.GOLD);
+    assert.equal(manager.recordLevelResult(1, 'normal', run(25, 70)).medal, MEDALS.GOLD);
+});
+
+test('level records are kept apart per difficulty', () => {
+    const manager = createManager();
+    manager.recordLevelResult(2, 'easy', { ...RESULT, time: 12, medal: MEDALS.GOLD });
+    manager.recordLevelResult(2, 'hard', { ...RESULT, time: 31, medal: MEDALS.BRONZE });
+
+    assert.equal(manager.getLevelRecord(2, 'easy').bestTime, 12);
+    assert.equal(manager.getLevelRecord(2, 'hard').bestTime, 31);
+    assert.equal(manager.getLevelRecord(2, 'hard').medal, MEDALS.BRONZE);
+    assert.equal(manager.getLevelRecord(2, 'normal'), null);
+    assert.equal(manager.getProgress().highestUnlockedLevel, 3);
+});
+
+test('saves round-trip through the in-memory adapter', () => {
+    const storage = new MemoryStorageAdapter();
+    const manager = createManager(storage);
+    manager.recordLevelResult(1, 'normal', RESULT);
+    manager.setProgress({ currentLevel: 2, score: 900, totalDeaths: 3 });
+    manager.updateSettings({ musicVolume: 0.25, keyBindings: { jump: ['KeyW'] } });
+    manager.save();
+
+    const reloaded = createManager(storage);
+    assert.deepEqual(reloaded.getData(), manager.getData());
+
+    const imported = createManager();
+    imported.importSave(manager.exportSave());
+    assert.deepEqual(imported.getData(), manager.getData());
+});
+
+test('saves round-trip through the file adapter', () => {
+    const directory = fs.mkdtempSync(join(tmpdir(), 'squarerun-save-'));
+    try {
+        const storage = new FileStorageAdapter(join(directory, 'save.json'), fs);
+        const manager = createManager(storage);
+        manager.recordLevelResult(1, 'normal', RESULT);
+        manager.save();
+
+        const reloaded = createManager(new FileStorageAdapter(join(directory, 'save.json'), fs));
+        assert.deepEqual(reloaded.getData(), manager.getData());
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,100 @@
+/**
+ * Headless simulation tests: the same seed and inputs must give bit-identical runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/core/simulation.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { GameState } from '../src/core/game-state.js';
+import { Player } from '../src/core/player.js';
+import { Camera } from '../src/core/camera.js';
+import { CollectibleManager } from '../src/core/collectibles.js';
+import { LevelManager } from '../src/levels/level-manager.js';
+import { PhysicsEngine } from '../src/physics/physics-engine.js';
+
+const TICKS = 3000;
+
+/**
+ * Wire the gameplay systems like Game does, without DOM, audio or rendering
+ */
+function createRun(seed) {
+    const events = new EventBus();
+    const gameState = new GameState(events);
+    const player = new Player(events);
+    const camera = new Camera(events);
+    const collectibleManager = new CollectibleManager(undefined, events);
+    const levelManager = new LevelManager(seed);
+    const physicsEngine = new PhysicsEngine();
+    levelManager.init(player, collectibleManager, gameState);
+    physicsEngine.init(player, levelManager);
+
+    const simulation = new Simulation({ player, collectibleManager, gameState, levelManager, physicsEngine, camera });
+    gameState.onEnter('playing', (context) => {
+        simulation.clearInputs();
+        if (context.reason === 'respawn') player.respawn();
+    });
+
+    levelManager.loadLevel(1);
+    player.reset();
+    player.setSpeed(levelManager.getPlayerSpeed());
+    simulation.reset();
+    gameState.setGameState('levelReady');
+    gameState.setGameState('playing');
+
+    return { gameState, player, simulation };
+}
+
+/**
+ * Run a fixed number of ticks with a scripted jump pattern (short and long holds)
+ * Returns a trace of the player position after every tick
+ */
+function play({ gameState, player, simulation }, ticks) {
+    const trace = [];
+    for (let tick = 0; tick < ticks; tick++) {
+        if (!gameState.isActive()) {
+            gameState.update(simulation.stepSize);
+            continue;
+        }
+
+        if (tick % 53 === 0) simulation.queueInput('jump');
+        if (tick % 53 === (tick % 106 < 53 ? 6 : 30)) simulation.queueInput('jumpRelease');
+        simulation.step();
+        trace.push(player.x, player.y, player.dy);
+
+        if (player.isDead()) {
+            gameState.recordDeath(player.getSafePlatformId());
+            gameState.setGameState('dead');
+        }
+    }
+    return trace;
+}
+
+function playerState(player) {
+    const { x, y, dx, dy, angle, onGround, currentForm, health } = player;
+    return { x, y, dx, dy, angle, onGround, currentForm, health };
+}
+
+test('the same seed and inputs give bit-identical runs', () => {
+    const first = createRun(4242);
+    const second = createRun(4242);
+    const firstTrace = play(first, TICKS);
+    const secondTrace = play(second, TICKS);
+
+    assert.equal(first.simulation.getTick(), second.simulation.getTick());
+    assert.deepEqual(second.gameState.getStats(), first.gameState.getStats());
+    assert.deepEqual(playerState(second.player), playerState(first.player));
+    assert.equal(secondTrace.length, firstTrace.length);
+    firstTrace.forEach((value, index) => {
+        assert.ok(Object.is(secondTrace[index], value), `trace differs at value ${index}`);
+    });
+});
+
+test('a different seed gives a different run', () => {
+    const first = createRun(4242);
+    const other = createRun(4243);
+    play(first, TICKS);
+    play(other, TICKS);
+
+    assert.notDeepEqual(playerState(other.player), playerState(first.player));
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Level Validation CLI
+ * Generates levels over a range of seeds and checks that every platform, collectible and the
+ * teleport can be reached (see src/levels/level-validator.js); exits with 1 if any can't
+ *
+ * Usage: node tools/validate-levels.js [options]
+ *   --seeds N          number of seeds to check (default 100)
+ *   --first-seed N     first seed (default 1)
+ *   --levels A-B       level range per seed (default 1-5)
+ *   --form NAME        player form from Player.forms, or "all" (default square)
+ *   --difficulty ID    built-in difficulty id or path to a JSON profile (default normal)
+ *   --quiet            only print the summary
+ */
+
+import { readFileSync } from 'fs';
+import { generateLevel } from '../src/levels/level-generator.js';
+import { LevelValidator, describeIssue } from '../src/levels/level-validator.js';
+import { getDifficultyProfile, parseDifficultyProfile, getDifficultyParameters } from '../src/levels/difficulty.js';
+import { collectibleRegistry } from '../src/core/collectible-registry.js';
+import { Player } from '../src/core/player.js';
+
+const DEFAULT_OPTIONS = {
+    seeds: 100,
+    firstSeed: 1,
+    levels: '1-5',
+    form: 'square',
+    difficulty: 'normal',
+    quiet: false
+};
+
+/**
+ * Parse command line arguments into options
+ */
+function parseArgs(args) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = args[i + 1];
+        switch (arg) {
+            case '--seeds':
+                options.seeds = parseInteger(arg, value);
+                i++;
+                break;
+            case '--first-seed':
+                options.firstSeed = parseInteger(arg, value);
+                i++;
+                break;
+            case '--levels':
+                options.levels = value;
+                i++;
+                break;
+            case '--form':
+                options.form = value;
+                i++;
+                break;
+            case '--difficulty':
+                options.difficulty = value;
+                i++;
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function parseInteger(name, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw new Error(`${name} needs an integer, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse "3" or "1-5" into [first, last]
+ */
+function parseRange(text) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(text || '');
+    if (!match) {
+        throw new Error(`--levels needs a level or a range like 1-5, got "${text}"`);
+    }
+    const first = Number(match[1]);
+    const last = match[2] ? Number(match[2]) : first;
+    if (first < 1 || last < first) {
+        throw new Error(`Invalid level range: ${text}`);
+    }
+    return [first, last];
+}
+
+/**
+ * Load a built-in difficulty or a JSON profile file
+ */
+function loadDifficulty(setting) {
+    return getDifficultyProfile(setting) || parseDifficultyProfile(readFileSync(setting, 'utf8'));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [firstLevel, lastLevel] = parseRange(options.levels);
+    const difficulty = loadDifficulty(options.difficulty);
+
+    // Form definitions and gravity come straight from the player
+    const player = new Player();
+    const formNames = options.form === 'all' ? Object.keys(player.forms) : [options.form];
+    formNames.forEach(name => {
+        if (!player.forms[name]) {
+            throw new Error(`Unknown form: ${name} (forms: ${Object.keys(player.forms).join(', ')})`);
+        }
+    });
+    const startForm = player.forms[player.baseForm];
+
+    let checked = 0;
+    let failed = 0;
+    const startTime = Date.now();
+
+    for (let level = firstLevel; level <= lastLevel; level++) {
+        // Difficulty sets the starting form's speed; other forms keep their offset from it (see Player.setSpeed)
+        const speedOffset = getDifficultyParameters(difficulty, level).playerSpeed - startForm.maxSpeed;
+        const validators = formNames.map(name => ({
+            name,
+            validator: new LevelValidator(
+                { ...player.forms[name], gravity: player.gravity },
+                { speed: player.forms[name].maxSpeed + speedOffset }
+            )
+        }));
+
+        for (let seed = options.firstSeed; seed < options.firstSeed + options.seeds; seed++) {
+            const data = generateLevel(seed, level, {
+                difficulty,
+                pickCollectibleType: (random, kind) => collectibleRegistry.pickRandom(random, kind)
+            });
+
+            validators.forEach(({ name, validator }) => {
+                const report = validator.validate(data);
+                checked++;
+                if (report.ok) return;
+
+                failed++;
+                if (options.quiet) return;
+                console.log(`seed ${seed} level ${level} (${name}): ${report.unreachable.length} unreachable`);
+                report.unreachable.forEach(issue => console.log(`  ${describeIssue(issue)}`));
+            });
+        }
+    }
+
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`${checked} level runs checked on ${difficulty.name}, ${failed} with unreachable items (${seconds}s)`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}